@@ -42,6 +42,45 @@
  * setGravityKeyframes([
  *   [[0, 7, 20], sled, lockToAxis(null, 50, 2.0, 40, 300, sled)]
  * ]);
+ *
+ * // Declarative keyframes are plain JSON and can be mixed with the array form
+ * setGravityKeyframes([
+ *   { effect: "setGravity", args: { x: 0, y: 0.175 }, at: 0, target: "*" },
+ *   { effect: "lockToAxis", args: { axisY: 50, maxForce: 2, duration: 40 },
+ *     at: [0, 7, 20], target: "hero:sled" }
+ * ]);
+ * const json = JSON.stringify(exportGravityKeyframes());
+ *
+ * // Ride along a Bezier curve at 5 px/frame, sled tangent to the path
+ * setGravityKeyframes([
+ *   [[0, 2, 0], all, followPath([[[0, 0], [100, -80], [200, 80], [300, 0]]], 5,
+ *     null, { orientToPath: true })]
+ * ]);
+ *
+ * // Layer a kick on top of a running snapTo instead of replacing it
+ * setGravityKeyframes([
+ *   [0, all, setGravity(0, 0.175)],
+ *   [[0, 2, 0], all, snapTo(SnapCurves.circle(0, 0, 100), 2, 80)],
+ *   [[0, 3, 0], all, blend("add", pulseGravity(0, -1, 5))]
+ * ]);
+ *
+ * // Capture the rider's shape at the current frame and reuse it by name
+ * capturePose("myLanding");
+ * setGravityKeyframes([
+ *   [[0, 4, 0], all, adjustRider().pose("myLanding")]
+ * ]);
+ *
+ * // Times relative to the flag and to the previous item: move the flag to shift the section
+ * setGravityKeyframes([
+ *   [0, all, setGravity(0, 0.175)],
+ *   ["flag + 20", all, pulseGravity(0, -1, 5)],
+ *   ["+1.5s", all, teleport(0, -50)],
+ *   ["+40", all, setGravity(0.1, 0.175)]
+ * ]);
+ *
+ * // Keyframes are saved into the track and restored automatically on load;
+ * // to re-apply the saved set by hand:
+ * GravityAPI.restoreKeyframesFromTrack();
  */
 (function () {
   "use strict";
@@ -49,6 +88,11 @@
   const GravityAPI = (() => {
     const DEFAULT_GRAVITY = { x: 0, y: 0.175 };
     const FRAMES_PER_SECOND = 40;
+    // Per-track options, saved alongside the keyframes
+    const Settings = {
+      scarfGravity: false, // Scarf points (10-16) ignore keyframes unless enabled
+    };
+    const DEFAULT_SETTINGS = Object.freeze({ ...Settings });
     const ContactPoints = {
       PEG: 0,
       TAIL: 1,
@@ -148,6 +192,95 @@
       return Array.isArray(ts) ? timestampToFrames(ts) : ts;
     }
 
+    // Editor markers a timestamp string can start from, read when the keyframes are applied
+    const TIME_MARKERS = {
+      flag: (player) => player.flagIndex,
+      player: (player) => player.index,
+    };
+    // The flag is saved with the track, but the playhead is wherever it happens to be on load:
+    // times from these markers are fixed to their frame when applied instead of saved as written
+    const UNSAVED_TIME_MARKERS = new Set(["player"]);
+
+    function parseTimestamp(timestamp) {
+      const [, base, sign, offset] = /^([^+-]*)(?:([+-])(.*))?$/.exec(
+        timestamp.replace(/\s+/g, ""),
+      );
+      return { base, sign, offset };
+    }
+
+    /**
+     * @returns {boolean} Whether the timestamp counts from a marker that is not saved
+     * @internal
+     */
+    function isUnsavedTimestamp(timestamp) {
+      return (
+        typeof timestamp === "string" &&
+        UNSAVED_TIME_MARKERS.has(parseTimestamp(timestamp).base.toLowerCase())
+      );
+    }
+
+    /**
+     * Frames in one term of a timestamp string: "1:02.15" (minutes:seconds.frames, as
+     * [1, 2, 15]), "2.5s" (seconds) or "40" (frames)
+     * @internal
+     */
+    function parseTimeTerm(term, timestamp) {
+      let match = /^(\d+):(\d{1,2})(?:\.(\d{1,2}))?$/.exec(term);
+      if (match) {
+        return timestampToFrames([
+          Number(match[1]),
+          Number(match[2]),
+          Number(match[3] ?? 0),
+        ]);
+      }
+      match = /^(\d*\.?\d+)s$/.exec(term);
+      if (match) return Math.round(Number(match[1]) * FRAMES_PER_SECOND);
+      if (/^\d+$/.test(term)) return Number(term);
+      throw new Error(
+        `Cannot read "${term}" in timestamp "${timestamp}". Use frames (40), seconds (2.5s) or m:ss.ff (1:02.15).`,
+      );
+    }
+
+    /**
+     * Resolves any timestamp to a frame index. Strings are a time, a marker or a relative
+     * offset, optionally plus or minus a time:
+     *   "1:02.15", "2.5s", "40", "flag", "flag + 20", "player - 1s", "+40", "-0.5s"
+     * A leading + or - is relative to previousFrame (the previous item's time).
+     * @param {Array|number|string} timestamp - [minutes, seconds, frames], frames or a string
+     * @param {number} previousFrame - Frame that relative times count from (default: 0)
+     * @returns {number} Frame index
+     */
+    function resolveTimestamp(timestamp, previousFrame = 0) {
+      const frame = resolveFrame(timestamp, previousFrame);
+      if (frame < 0) {
+        throw new Error(
+          `Timestamp ${JSON.stringify(timestamp)} is frame ${frame}, before the start of the track`,
+        );
+      }
+      return frame;
+    }
+
+    function resolveFrame(timestamp, previousFrame) {
+      if (typeof timestamp !== "string") return toFrameIndex(timestamp);
+
+      const { base, sign, offset } = parseTimestamp(timestamp);
+      let frame;
+      if (!base) {
+        if (!sign) throw new Error("Empty timestamp");
+        frame = previousFrame;
+      } else if (Object.hasOwn(TIME_MARKERS, base.toLowerCase())) {
+        frame = TIME_MARKERS[base.toLowerCase()](
+          window.store.getState().player,
+        );
+      } else {
+        frame = parseTimeTerm(base, timestamp);
+      }
+      if (sign) {
+        frame += (sign === "-" ? -1 : 1) * parseTimeTerm(offset, timestamp);
+      }
+      return frame;
+    }
+
     function calculateTargetPosition({
       contactPoint,
       anchorPoint = null,
@@ -240,9 +373,324 @@
       return pose;
     }
 
+    /**
+     * Everything a saved keyframe set may refer to by name: effects, tweens,
+     * curve helpers, intervals and poses
+     * @internal
+     */
+    const SerializableRefs = new Map();
+    const FactoryParams = new Map();
+    const refDescriptors = new WeakMap();
+
+    /**
+     * Registers a value (tween, pose, interval) so it can be saved by name
+     * @param {string} name - Name the value is saved under
+     * @param {Function|Object} value - The value to register
+     * @returns {Function|Object} The same value
+     */
+    function registerRef(name, value) {
+      SerializableRefs.set(name, value);
+      refDescriptors.set(value, { $ref: name });
+      return value;
+    }
+
+    /**
+     * Wraps a factory so every value it returns remembers the call that created it
+     * @param {string} name - Name the factory is saved under
+     * @param {Function} factory - Effect, curve or interval factory
+     * @param {Array<string>} params - Parameter names, used for named args in declarative keyframes
+     * @returns {Function} Wrapped factory with the same signature
+     */
+    function registerFactory(name, factory, params = null) {
+      const wrapped = (...args) => {
+        const result = factory(...args);
+        if (!refDescriptors.has(result)) {
+          refDescriptors.set(result, { $ref: name, args });
+        }
+        return result;
+      };
+      SerializableRefs.set(name, wrapped);
+      FactoryParams.set(name, params);
+      return wrapped;
+    }
+
+    /**
+     * Converts factory arguments to named args where parameter names are known
+     * @internal
+     */
+    function serializeArgs(name, args, path) {
+      const params = FactoryParams.get(name);
+      if (!params) {
+        return args.map((arg, i) => serializeValue(arg, `${path} arg ${i}`));
+      }
+      const named = {};
+      params.forEach((param, i) => {
+        if (args[i] !== undefined) {
+          named[param] = serializeValue(args[i], `${path} ${param}`);
+        }
+      });
+      return named;
+    }
+
+    /**
+     * Converts named or positional args back into a positional argument list
+     * @internal
+     */
+    function toPositionalArgs(name, args) {
+      if (Array.isArray(args)) return args;
+      const params = FactoryParams.get(name);
+      if (!params) {
+        throw new Error(`"${name}" only accepts positional args (an array)`);
+      }
+      for (const key of Object.keys(args)) {
+        if (!params.includes(key)) {
+          throw new Error(
+            `Unknown argument "${key}" for "${name}". Expected: ${params.join(", ")}`,
+          );
+        }
+      }
+      return params.map((param) => args[param]);
+    }
+
+    /**
+     * Converts a value into plain JSON, replacing registered functions and poses with references
+     * @param {*} value - Value to serialize
+     * @param {string} path - Location of the value, used in error messages
+     * @returns {*} JSON-safe value
+     */
+    function serializeValue(value, path) {
+      if (value === undefined) return { $undefined: true };
+      if (
+        value === null ||
+        (typeof value !== "object" && typeof value !== "function")
+      ) {
+        return value;
+      }
+
+      const descriptor = refDescriptors.get(value);
+      if (descriptor) {
+        if (!descriptor.args) return { $ref: descriptor.$ref };
+        return {
+          $ref: descriptor.$ref,
+          args: serializeArgs(
+            descriptor.$ref,
+            descriptor.args,
+            `${path} > ${descriptor.$ref}`,
+          ),
+        };
+      }
+
+      if (typeof value === "function") {
+        throw new Error(
+          `${path} is a custom function and cannot be serialized`,
+        );
+      }
+      if (Array.isArray(value)) {
+        return value.map((v, i) => serializeValue(v, `${path}[${i}]`));
+      }
+      return Object.fromEntries(
+        Object.entries(value).map(([key, v]) => [
+          key,
+          serializeValue(v, `${path}.${key}`),
+        ]),
+      );
+    }
+
+    /**
+     * Inverse of serializeValue: resolves references back into live functions and poses
+     * @param {*} value - JSON value
+     * @returns {*} Live value
+     */
+    function deserializeValue(value) {
+      if (value === null || typeof value !== "object") return value;
+      if (Array.isArray(value)) return value.map(deserializeValue);
+      if (value.$undefined) return undefined;
+
+      if (value.$ref !== undefined) {
+        if (!SerializableRefs.has(value.$ref)) {
+          throw new Error(`Unknown reference "${value.$ref}"`);
+        }
+        const ref = SerializableRefs.get(value.$ref);
+        if (!value.args) return ref;
+        return ref(
+          ...toPositionalArgs(value.$ref, value.args).map(deserializeValue),
+        );
+      }
+
+      return Object.fromEntries(
+        Object.entries(value).map(([key, v]) => [key, deserializeValue(v)]),
+      );
+    }
+
+    /**
+     * Declarative keyframes are plain JSON objects describing an effect call:
+     *   { effect: "lockToAxis", args: { axisY: 50, maxForce: 2, duration: 40 },
+     *     at: [0, 7, 20], target: "hero:sled" }
+     * Function-valued args (tweens, curves) and intervals use references such as
+     * { $ref: "Tween.easeOutQuad" } or { $ref: "SnapCurves.circle", args: {...} }.
+     */
+    // Items kept in the set but not simulated: declarative keyframes with enabled: false, and
+    // array items switched off in the keyframe panel (arrays carry no enabled flag)
+    const DisabledItems = new WeakSet();
+
+    function isDeclarativeItem(item) {
+      return (
+        item !== null &&
+        typeof item === "object" &&
+        !Array.isArray(item) &&
+        typeof item.effect === "string"
+      );
+    }
+
+    /**
+     * Builds a [timestamp, target, keyframeFn, intervalFn?] item from a declarative keyframe
+     * @param {Object} item - Declarative keyframe
+     * @returns {Array} Keyframe item
+     */
+    function fromDeclarativeItem(item) {
+      const {
+        effect,
+        args = [],
+        at,
+        target,
+        interval,
+        blend: mode = "replace",
+      } = item;
+      if (!FactoryParams.has(effect) || effect.includes(".")) {
+        throw new Error(`unknown effect "${effect}"`);
+      }
+      const keyframeFn = deserializeValue({ $ref: effect, args });
+      const result = [at, target, Effects.blend(mode, keyframeFn)];
+      if (interval) result.push(deserializeValue(interval));
+      return result;
+    }
+
+    /**
+     * Describes a [timestamp, target, keyframeFn, intervalFn?] item as a declarative keyframe
+     * @param {Array} item - Keyframe item
+     * @param {number} index - Position in the keyframe list, used in error messages
+     * @returns {Object} Declarative keyframe
+     */
+    function toDeclarativeItem(item, index) {
+      if (!Array.isArray(item) || !isValidTimestamp(item[0])) {
+        throw new Error(`Item ${index} is a raw keyframe list`);
+      }
+      const [at, target, keyframeFn, intervalFn] = item;
+      let effect = serializeValue(keyframeFn, `Item ${index} effect`);
+      let mode = "replace";
+      if (effect.$ref === "blend") {
+        ({ mode, effect } = effect.args);
+      }
+      const declarative = {
+        effect: effect.$ref,
+        args: effect.args ?? {},
+        at,
+        target,
+      };
+      if (mode !== "replace") declarative.blend = mode;
+      if (DisabledItems.has(item)) declarative.enabled = false;
+      if (intervalFn) {
+        declarative.interval = serializeValue(
+          intervalFn,
+          `Item ${index} interval`,
+        );
+      }
+      return declarative;
+    }
+
+    // Effects that add a force by themselves instead of replacing gravity
+    const AdditiveEffects = new Set([
+      "attractTo",
+      "repelFrom",
+      "nBody",
+      "turbulence",
+      "vectorField",
+      "drag",
+      "wind",
+    ]);
+
+    /**
+     * Names the effect behind a keyframe generator and the blend mode it runs with
+     * @param {Function} keyframeFn - Keyframe generator
+     * @returns {Object} { effect, blend }
+     * @internal
+     */
+    function describeEffect(keyframeFn) {
+      const descriptor = refDescriptors.get(keyframeFn);
+      if (descriptor?.$ref === "blend") {
+        return {
+          effect: describeEffect(descriptor.args[1]).effect,
+          blend: descriptor.args[0],
+        };
+      }
+      const effect = descriptor ? descriptor.$ref : "custom";
+      return { effect, blend: AdditiveEffects.has(effect) ? "add" : "replace" };
+    }
+
+    /**
+     * Resolves a keyframe target into global contact point indices.
+     * Targets can be contact point arrays, RiderSelections, or strings of the form
+     * "riders:points", e.g. "hero:sled", "hero,villain:feet,hands", "*:scarf", "#2:body".
+     * Riders are group names, "*" for every rider or "#n" for a rider index;
+     * points are point group or contact point names and default to all points.
+     * @param {Array|Object|string} target - Keyframe target
+     * @returns {Array} Global contact point indices
+     */
+    function resolveTarget(target) {
+      if (target && target._isRiderSelection) return target.toContactPoints();
+      if (typeof target !== "string") return target;
+
+      const [riderPart, pointPart = "all"] = target.split(":");
+      const riderIndices = resolveRiderIndices(riderPart, target);
+      const points = pointPart
+        .split(",")
+        .flatMap((name) => resolvePointGroup(name.trim(), target));
+      return riderIndices.flatMap((riderIndex) =>
+        points.map((cp) => riderIndex * 17 + cp),
+      );
+    }
+
+    function resolveRiderIndices(riderPart, target) {
+      const riders = window.Selectors?.getRiders?.() ?? [];
+      const indices = new Set();
+      for (const name of riderPart.split(",").map((n) => n.trim())) {
+        if (name === "*") {
+          riders.forEach((_, i) => indices.add(i));
+        } else if (/^#\d+$/.test(name)) {
+          indices.add(Number(name.slice(1)));
+        } else {
+          riders.forEach((rider, i) => {
+            if (rider.groups instanceof Set && rider.groups.has(name)) {
+              indices.add(i);
+            }
+          });
+        }
+      }
+      if (indices.size === 0) {
+        console.warn(`Target "${target}" does not match any riders`);
+      }
+      return [...indices].sort((a, b) => a - b);
+    }
+
+    function resolvePointGroup(name, target) {
+      if (/^\d+$/.test(name)) return [Number(name)];
+      const key = name.toUpperCase();
+      const groups = {
+        ...PointGroups,
+        BODY: PointGroups.RIDER,
+        NOTSCARF: [...PointGroups.SLED, ...PointGroups.RIDER],
+        HANDS: [ContactPoints.RHAND, ContactPoints.LHAND],
+        FEET: [ContactPoints.LFOOT, ContactPoints.RFOOT],
+      };
+      if (groups[key]) return groups[key];
+      if (ContactPoints[key] !== undefined) return [ContactPoints[key]];
+      throw new Error(`Unknown point group "${name}" in target "${target}"`);
+    }
+
     /**
      * Applies gravity keyframes with optional interval grouping
-     * @param {Array} baseTimestamp - Timestamp as [minutes, seconds, frames]
+     * @param {Array|number|string} baseTimestamp - Timestamp as [minutes, seconds, frames],
+     *   frames or a timestamp string (see resolveTimestamp)
      * @param {Array} contactPoints - Array of contact point indices
      * @param {Function} keyframeFn - Function that generates keyframes
      * @param {Function} intervalFn - Function to compute interval offsets (default: simultaneous)
@@ -260,12 +708,12 @@
       });
       if (!Array.isArray(contactPoints))
         throw new Error("contactPoints must be an array");
-      if (!Array.isArray(baseTimestamp))
+      if (!isValidTimestamp(baseTimestamp))
         throw new Error(
-          "baseTimestamp must be an array [minutes, seconds, frames]",
+          'baseTimestamp must be [minutes, seconds, frames], frames or a string such as "flag + 20"',
         );
 
-      const timeAsFrames = timestampToFrames(baseTimestamp);
+      const timeAsFrames = resolveTimestamp(baseTimestamp);
       const groupSize = 17;
       const numGroups = Math.ceil(contactPoints.length / groupSize);
 
@@ -298,6 +746,77 @@
       }).flat();
     }
 
+    const BLEND_MODES = ["replace", "add", "multiply"];
+
+    // Gravity functions that set the base gravity, and ones that release their points; the
+    // linter reads these instead of calling keyframe functions before the simulation
+    const DefaultGravityFns = new WeakSet();
+    const ReleaseFns = new WeakSet();
+
+    /**
+     * Final keyframe of a temporary effect. Without explicit values the effect releases its
+     * points to whatever acted on them before: an effect still running underneath, or the
+     * last setGravity.
+     * @param {number} normalX - X gravity to switch to instead (default: null)
+     * @param {number} normalY - Y gravity to switch to instead (default: null)
+     * @returns {Function} Gravity function for the effect's last keyframe
+     * @internal
+     */
+    function restoreGravity(normalX = null, normalY = null) {
+      if (normalX !== null || normalY !== null) {
+        return (keyframeContext) => ({
+          x: normalX ?? keyframeContext.lastDefaultGravity?.x ?? 0,
+          y: normalY ?? keyframeContext.lastDefaultGravity?.y ?? 0.175,
+        });
+      }
+      const release = (keyframeContext) => ({
+        x: keyframeContext.lastDefaultGravity?.x ?? 0,
+        y: keyframeContext.lastDefaultGravity?.y ?? 0.175,
+        __release: true,
+      });
+      ReleaseFns.add(release);
+      return release;
+    }
+
+    /**
+     * Runs an effect as a layer on top of whatever else acts on the same points
+     * @param {string} mode - "replace" (default behaviour: the latest effect wins),
+     *   "add" (gravity is added to the result) or "multiply" (result is scaled per axis)
+     * @param {Function} effect - Keyframe generator, e.g. pulseGravity(0, -0.5, 10)
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Kick upwards while a snapTo keeps running underneath
+     * applyGravity([0, 2, 0], all, blend("add", pulseGravity(0, -1, 5)));
+     *
+     * @example
+     * // Halve vertical gravity during a lockToAxis
+     * applyGravity([0, 2, 0], all, blend("multiply", pulseGravity(1, 0.5, 40)));
+     */
+    function blend(mode, effect) {
+      if (!BLEND_MODES.includes(mode)) {
+        throw new Error(
+          `Unknown blend mode "${mode}". Expected: ${BLEND_MODES.join(", ")}`,
+        );
+      }
+      if (mode === "replace") return effect;
+      return (t, cp) =>
+        effect(t, cp).map(([timestamp, cps, gravityFn]) => [
+          timestamp,
+          cps,
+          // Base gravity and releases are never blended
+          DefaultGravityFns.has(gravityFn) || ReleaseFns.has(gravityFn)
+            ? gravityFn
+            : (keyframeContext) => {
+                const gravity = gravityFn(keyframeContext);
+                // setGravity always sets the base gravity
+                return gravity && !gravity.__default
+                  ? { ...gravity, __blend: mode }
+                  : gravity;
+              },
+        ]);
+    }
+
     /**
      * Sets constant gravity
      * @param {number} x - X component of gravity
@@ -305,9 +824,9 @@
      * @returns {Function} Function (time, contactPoints) => keyframes
      */
     function setGravity(x, y) {
-      return (t, cp) => [
-        [t, cp, (_keyframeContext) => ({ x, y, __default: true })],
-      ];
+      const gravityFn = (_keyframeContext) => ({ x, y, __default: true });
+      DefaultGravityFns.add(gravityFn);
+      return (t, cp) => [[t, cp, gravityFn]];
     }
 
     /**
@@ -323,17 +842,135 @@
       if (duration < 1) throw Error("Duration must be 1 or more");
       return (t, cp) => [
         [t, cp, (_keyframeContext) => ({ x, y })],
-        [
-          t + duration + 1,
-          cp,
-          (keyframeContext) => ({
-            x: normalX ?? keyframeContext.lastDefaultGravity.x,
-            y: normalY ?? keyframeContext.lastDefaultGravity.y,
-          }),
-        ],
+        [t + duration + 1, cp, restoreGravity(normalX, normalY)],
       ];
     }
 
+    const GRAVITY_DIRECTIONS = ["shortest", "clockwise", "counterclockwise"];
+
+    function toGravityVector(value, name) {
+      if (Array.isArray(value) && value.length >= 2) {
+        return { x: value[0], y: value[1] };
+      }
+      if (value && typeof value === "object" && "x" in value && "y" in value) {
+        return { x: value.x, y: value.y };
+      }
+      throw new Error(`animateGravity ${name} must be [x, y] or {x, y}`);
+    }
+
+    /**
+     * Turn in degrees from one direction to another
+     * @internal
+     */
+    function turnBetween(fromAngle, toAngle, direction) {
+      const clockwise = (((toAngle - fromAngle) % 360) + 360) % 360;
+      if (direction === "clockwise") return clockwise === 0 ? 360 : clockwise;
+      if (direction === "counterclockwise") return clockwise - 360;
+      return clockwise > 180 ? clockwise - 360 : clockwise;
+    }
+
+    /**
+     * Changes gravity gradually from one vector to another. Every frame of the transition acts
+     * like a setGravity, so temporary effects during it return to the gravity of that moment,
+     * and the end value stays as the new gravity.
+     * @param {{x, y}|Array|null} from - Gravity to start from, or null for the last setGravity
+     * @param {{x, y}|Array} to - Gravity to end at
+     * @param {number} duration - Duration in frames
+     * @param {Function} tweenFn - Tweening function for the transition (default: Tween.linear)
+     * @param {Object} options - { mode = "linear", direction = "shortest" }
+     *   mode: "linear" interpolates x and y; "polar" turns the gravity direction and
+     *     interpolates its strength, so a tilt keeps constant magnitude
+     *   direction: polar turn "shortest", "clockwise" or "counterclockwise" (on screen);
+     *     clockwise and counterclockwise make a full turn when from and to point the same way
+     * @returns {Function} Function (time, contactPoints) => keyframes
+     *
+     * @example
+     * // Tilt the world so gravity points right over two seconds
+     * applyGravity([0, 3, 0], all, animateGravity(null, [0.175, 0], 80, Tween.easeInOutSine,
+     *   { mode: "polar" }));
+     */
+    function animateGravity(
+      from,
+      to,
+      duration,
+      tweenFn = Tween.linear,
+      options = {},
+    ) {
+      const { mode = "linear", direction = "shortest" } = options;
+      if (mode !== "linear" && mode !== "polar") {
+        throw new Error(
+          `Unknown animateGravity mode "${mode}". Use "linear" or "polar".`,
+        );
+      }
+      if (!GRAVITY_DIRECTIONS.includes(direction)) {
+        throw new Error(
+          `Unknown animateGravity direction "${direction}". Use ${GRAVITY_DIRECTIONS.join(", ")}.`,
+        );
+      }
+      if (!(duration > 0)) {
+        throw new Error(
+          "animateGravity needs a duration of at least one frame",
+        );
+      }
+      const end = toGravityVector(to, "to");
+      const fixedStart = from === null ? null : toGravityVector(from, "from");
+
+      const interpolate = (start, t) => {
+        if (mode === "linear") {
+          return {
+            x: start.x + (end.x - start.x) * t,
+            y: start.y + (end.y - start.y) * t,
+          };
+        }
+        const startMagnitude = Math.hypot(start.x, start.y);
+        const endMagnitude = Math.hypot(end.x, end.y);
+        const toDegrees = 180 / Math.PI;
+        const endAngle = Math.atan2(end.y, end.x) * toDegrees;
+        // Without a direction to start from, only the strength changes
+        const startAngle =
+          startMagnitude === 0
+            ? endAngle
+            : Math.atan2(start.y, start.x) * toDegrees;
+        const angle =
+          (startAngle + turnBetween(startAngle, endAngle, direction) * t) /
+          toDegrees;
+        const magnitude = startMagnitude + (endMagnitude - startMagnitude) * t;
+        return {
+          x: Math.cos(angle) * magnitude,
+          y: Math.sin(angle) * magnitude,
+        };
+      };
+
+      return (t, cp) => {
+        // Gravity each point had when the transition started, when from is null
+        const starts = new Map();
+        const keyframes = [];
+        for (let i = 0; i < duration; i++) {
+          const gravityFn = (keyframeContext) => {
+            const { globalCpIndex } = keyframeContext;
+            if (i === 0 && !starts.has(globalCpIndex)) {
+              starts.set(
+                globalCpIndex,
+                keyframeContext.lastDefaultGravity ?? DEFAULT_GRAVITY,
+              );
+            }
+            const start =
+              fixedStart ?? starts.get(globalCpIndex) ?? DEFAULT_GRAVITY;
+            return {
+              ...interpolate(start, tweenFn(i / duration)),
+              __default: true,
+            };
+          };
+          DefaultGravityFns.add(gravityFn);
+          keyframes.push([t + i, cp, gravityFn]);
+        }
+        const endFn = (_keyframeContext) => ({ ...end, __default: true });
+        DefaultGravityFns.add(endFn);
+        keyframes.push([t + duration, cp, endFn]);
+        return keyframes;
+      };
+    }
+
     /**
      * Teleports the rider by applying instantaneous displacement, then returns to last setGravity
      * @param {number} deltaX - X displacement
@@ -353,38 +990,130 @@
           }),
         ],
         [t + 1, cp, (ctx) => ({ x: -dx, y: -dy })],
+        [t + 2, cp, restoreGravity(normalX, normalY)],
+      ];
+    }
+
+    /**
+     * Sets the velocity of the targeted points on one frame, then returns to the last setGravity
+     * @param {number|null} vx - X velocity in px/frame (null keeps the current X velocity)
+     * @param {number|null} vy - Y velocity in px/frame (null keeps the current Y velocity)
+     * @returns {Function} Function (time, contactPoints) => keyframes
+     *
+     * @example
+     * // Launch straight up at 10 px/frame
+     * applyGravity([0, 2, 0], all, setVelocity(0, -10));
+     */
+    function setVelocity(vx, vy) {
+      return (t, cp) => [
         [
-          t + 2,
+          t,
           cp,
-          (ctx) => ({
-            x: normalX ?? ctx.lastDefaultGravity.x,
-            y: normalY ?? ctx.lastDefaultGravity.y,
-          }),
+          (keyframeContext) => {
+            const vel = keyframeContext.contactPointData.vel;
+            return {
+              x: vx === null ? 0 : vx - vel.x,
+              y: vy === null ? 0 : vy - vel.y,
+            };
+          },
         ],
+        [t + 1, cp, restoreGravity()],
       ];
     }
 
     /**
-     * Transforms the rider to a target position with optional angle
-     * @param {number} anchorPoint - Contact point to use as anchor (0-16)
-     * @param {number} positionX - Target X position
-     * @param {number} positionY - Target Y position
-     * @param {boolean} isAbsolute - Whether position is absolute (true) or relative (false)
-     * @param {Object} pose - Pose configuration object (default: DefaultPose)
-     * @param {number} angle - Rotation angle in degrees
-     * @param {number} normalGravityX - X component of normal gravity to return to (default: 0)
-     * @param {number} normalGravityY - Y component of normal gravity to return to (default: 0.175)
-     * @returns {Array} Keyframe data
+     * Changes the velocity of the targeted points by (dvx, dvy) on one frame, then returns to
+     * the last setGravity
+     * @param {number} dvx - X velocity change in px/frame
+     * @param {number} dvy - Y velocity change in px/frame
+     * @returns {Function} Function (time, contactPoints) => keyframes
      */
-    const adjustRiderFn =
-      (
-        anchorPoint = null,
-        positionX = null,
-        positionY = null,
-        isAbsolute = false,
-        pose = null,
-        angle = 0,
-        normalGravityX = null,
+    function addVelocity(dvx, dvy) {
+      return (t, cp) => [
+        [t, cp, (_keyframeContext) => ({ x: dvx, y: dvy })],
+        [t + 1, cp, restoreGravity()],
+      ];
+    }
+
+    /**
+     * Sets the rider's speed on one frame and keeps its direction, then returns to the last
+     * setGravity. Every targeted point's velocity is scaled by the same factor (taken from the
+     * rider's sled and body), so a spinning rider keeps spinning.
+     * @param {number} speed - Speed in px/frame
+     * @returns {Function} Function (time, contactPoints) => keyframes
+     *
+     * @example
+     * // Slow to a calm 2 px/frame wherever the rider is heading
+     * applyGravity([0, 5, 0], all, setSpeed(2));
+     */
+    function setSpeed(speed) {
+      return (t, cp) => [
+        [
+          t,
+          cp,
+          (keyframeContext) => {
+            const vel = keyframeContext.contactPointData.vel;
+            const average = bodyAverage(
+              keyframeContext.riderData.points,
+              "vel",
+            );
+            const current = Math.hypot(average.x, average.y);
+            // Standing still has no direction to keep
+            if (current === 0) return { x: 0, y: 0 };
+            const scale = speed / current;
+            return { x: vel.x * scale - vel.x, y: vel.y * scale - vel.y };
+          },
+        ],
+        [t + 1, cp, restoreGravity()],
+      ];
+    }
+
+    /**
+     * Turns the velocity of the targeted points by an angle on one frame, keeping their speed,
+     * then returns to the last setGravity
+     * @param {number} angle - Rotation in degrees (positive turns clockwise on screen)
+     * @returns {Function} Function (time, contactPoints) => keyframes
+     *
+     * @example
+     * // Bounce straight back the way the rider came
+     * applyGravity([0, 5, 0], all, rotateVelocity(180));
+     */
+    function rotateVelocity(angle) {
+      return (t, cp) => [
+        [
+          t,
+          cp,
+          (keyframeContext) => {
+            const vel = keyframeContext.contactPointData.vel;
+            const turned = rotateOffset(vel, angle);
+            return { x: turned.x - vel.x, y: turned.y - vel.y };
+          },
+        ],
+        [t + 1, cp, restoreGravity()],
+      ];
+    }
+
+    /**
+     * Transforms the rider to a target position with optional angle
+     * @param {number} anchorPoint - Contact point to use as anchor (0-16)
+     * @param {number} positionX - Target X position
+     * @param {number} positionY - Target Y position
+     * @param {boolean} isAbsolute - Whether position is absolute (true) or relative (false)
+     * @param {Object|string} pose - Pose configuration object or pose name (default: DefaultPose)
+     * @param {number} angle - Rotation angle in degrees
+     * @param {number} normalGravityX - X component of normal gravity to return to (default: 0)
+     * @param {number} normalGravityY - Y component of normal gravity to return to (default: 0.175)
+     * @returns {Array} Keyframe data
+     */
+    const adjustRiderFn =
+      (
+        anchorPoint = null,
+        positionX = null,
+        positionY = null,
+        isAbsolute = false,
+        pose = null,
+        angle = 0,
+        normalGravityX = null,
         normalGravityY = null,
       ) =>
       (t, cp = all) => {
@@ -392,6 +1121,7 @@
           positionX !== null && positionY !== null
             ? { x: positionX, y: positionY }
             : null;
+        const resolvedPose = typeof pose === "string" ? getPose(pose) : pose;
 
         return [
           [
@@ -403,7 +1133,7 @@
                 anchorPoint,
                 targetPosition: position,
                 isAbsolute,
-                pose,
+                pose: resolvedPose,
                 angle,
                 riderData: keyframeContext.riderData,
               });
@@ -423,21 +1153,27 @@
               return { x: -vel.x, y: -vel.y };
             },
           ],
-          [
-            t + 2,
-            cp,
-            (keyframeContext) => ({
-              x: normalGravityX ?? keyframeContext.lastDefaultGravity?.x ?? 0,
-              y:
-                normalGravityY ??
-                keyframeContext.lastDefaultGravity?.y ??
-                0.175,
-            }),
-          ],
+          [t + 2, cp, restoreGravity(normalGravityX, normalGravityY)],
         ];
       };
 
-    function adjustRider() {
+    const ADJUST_RIDER_KEYS = [
+      "anchorPoint",
+      "positionX",
+      "positionY",
+      "isAbsolute",
+      "pose",
+      "rotation",
+      "normalGravityX",
+      "normalGravityY",
+    ];
+
+    /**
+     * Chainable builder around adjustRiderFn
+     * @param {Object} initialState - Optional builder state to start from (keys as in ADJUST_RIDER_KEYS)
+     * @returns {Function} Builder that is also a keyframe generator (t, cp) => keyframes
+     */
+    function adjustRider(initialState = {}) {
       const state = {
         anchorPoint: null,
         positionX: null,
@@ -447,6 +1183,7 @@
         rotation: 0,
         normalGravityX: null,
         normalGravityY: null,
+        ...initialState,
       };
 
       const call = (t, cp) => {
@@ -502,9 +1239,347 @@
         return call;
       };
 
+      // The builder is mutated after creation, so describe it from its final state
+      refDescriptors.set(call, {
+        $ref: "adjustRider",
+        get args() {
+          return ADJUST_RIDER_KEYS.map((key) => state[key]);
+        },
+      });
+
       return call;
     }
 
+    /**
+     * A rider as it was at the end of a computed frame, read back from the engine's history
+     * @param {number} frame - Frame index
+     * @param {number} riderIndex - Rider index
+     * @returns {Object|null} Rider entity with points
+     * @internal
+     */
+    function getRiderAtFrame(frame, riderIndex) {
+      const engine =
+        window.__gravityFrameCache?.engine ??
+        window.store.getState().simulator.engine.engine;
+      return (
+        engine.getFrame(Math.max(frame, 0))?.snapshot?.entities?.[0]
+          ?.entities?.[riderIndex] ?? null
+      );
+    }
+
+    /**
+     * Sled heading in degrees (tail to nose)
+     * @internal
+     */
+    function sledAngle(points) {
+      const tail = points[ContactPoints.TAIL].pos;
+      const nose = points[ContactPoints.NOSE].pos;
+      return Math.atan2(nose.y - tail.y, nose.x - tail.x) * (180 / Math.PI);
+    }
+
+    /**
+     * Average of a field ("pos" or "vel") over the sled and body (points 0-9)
+     * @internal
+     */
+    function bodyAverage(points, field) {
+      let x = 0;
+      let y = 0;
+      for (let cp = 0; cp < ContactPoints.SCARF_0; cp++) {
+        x += points[cp][field].x / ContactPoints.SCARF_0;
+        y += points[cp][field].y / ContactPoints.SCARF_0;
+      }
+      return { x, y };
+    }
+
+    /**
+     * Keyframes that place the targeted points exactly on computed positions frame by frame,
+     * then hand them back to the last setGravity. The animation's origin keeps moving as it
+     * would have, so the rider travels on while it is animated, and the final shape is held
+     * for one more frame so the points leave with the origin's velocity instead of the
+     * animation's.
+     * @param {number} duration - Frames to animate
+     * @param {number|Function} course - Contact point the animation is anchored on, or
+     *   (i, startRider, gravity) => origin position on frame startFrame + i
+     * @param {Function} offsetFor - (i, contactPoint, startRider) => offset of the point from the
+     *   origin on frame startFrame + i; startRider is the rider on the frame before the animation
+     * @returns {Function} Keyframe generator function
+     * @internal
+     */
+    function animateRider(duration, course, offsetFor) {
+      return (startFrame, contactPoints) => {
+        const keyframes = [];
+        for (let i = 0; i <= duration; i++) {
+          keyframes.push([
+            startFrame + i,
+            contactPoints,
+            (keyframeContext) => {
+              const riderIndex = Math.floor(keyframeContext.globalCpIndex / 17);
+              const startRider = getRiderAtFrame(startFrame - 1, riderIndex);
+              const gravity =
+                keyframeContext.lastDefaultGravity ?? DEFAULT_GRAVITY;
+              let origin;
+              if (typeof course === "function") {
+                origin = course(i, startRider, gravity);
+              } else {
+                const anchorData = keyframeContext.riderData.points[course];
+                origin = {
+                  x: anchorData.pos.x + anchorData.vel.x + gravity.x,
+                  y: anchorData.pos.y + anchorData.vel.y + gravity.y,
+                };
+              }
+              const offset = offsetFor(
+                Math.min(i, duration - 1),
+                keyframeContext.contactPoint,
+                startRider,
+              );
+              const { pos, vel } = keyframeContext.contactPointData;
+              return {
+                x: origin.x + offset.x - pos.x - vel.x,
+                y: origin.y + offset.y - pos.y - vel.y,
+              };
+            },
+          ]);
+        }
+        keyframes.push([
+          startFrame + duration + 1,
+          contactPoints,
+          restoreGravity(),
+        ]);
+        return keyframes;
+      };
+    }
+
+    /**
+     * Rotates the rider rigidly about a pivot over time. The pivot travels with the rider's
+     * centre of mass, so the rider keeps its velocity through the spin and leaves with it.
+     * @param {number|{x, y}|null} anchor - Contact point to spin about, a world point,
+     *   or null for the rider's centre
+     * @param {number} degrees - Total rotation in degrees (positive turns clockwise on screen)
+     * @param {number} duration - Duration in frames
+     * @param {Function} tweenFn - Tweening function for the rotation (default: Tween.linear)
+     * @param {Object} options - { perFrame = false }
+     *   perFrame: degrees is the rotation per frame instead of the total
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // A backflip over a second
+     * applyGravity([0, 3, 0], all, spin(null, -360, 40, Tween.easeInOutQuad));
+     *
+     * @example
+     * // Spin about the peg at 30 degrees per frame for two seconds
+     * applyGravity([0, 3, 0], all, spin(ContactPoints.PEG, 30, 80, Tween.linear, { perFrame: true }));
+     */
+    function spin(
+      anchor,
+      degrees,
+      duration,
+      tweenFn = Tween.linear,
+      options = {},
+    ) {
+      const { perFrame = false } = options;
+      if (!(duration > 0))
+        throw new Error("spin needs a duration of at least one frame");
+      const total = perFrame ? degrees * duration : degrees;
+
+      const pivotOf = (startRider) => {
+        if (anchor === null) return bodyAverage(startRider.points, "pos");
+        if (typeof anchor === "number") return startRider.points[anchor].pos;
+        return anchor;
+      };
+
+      // Where the pivot would be on frame startFrame + i if it moved like the centre of mass
+      const course = (i, startRider, gravity) => {
+        const pivot = pivotOf(startRider);
+        const vel = bodyAverage(startRider.points, "vel");
+        const frames = i + 1;
+        const fall = (frames * (frames + 1)) / 2;
+        return {
+          x: pivot.x + vel.x * frames + gravity.x * fall,
+          y: pivot.y + vel.y * frames + gravity.y * fall,
+        };
+      };
+
+      return animateRider(duration, course, (i, contactPoint, startRider) => {
+        const pivot = pivotOf(startRider);
+        const start = startRider.points[contactPoint].pos;
+        return rotateOffset(
+          { x: start.x - pivot.x, y: start.y - pivot.y },
+          total * tweenFn((i + 1) / duration),
+        );
+      });
+    }
+
+    /**
+     * Morphs the rider from one pose into another over time, frame by frame
+     * @param {Object|string|null} fromPose - Pose or pose name to start from, or "current"
+     *   (or null) for the rider's shape when the morph starts
+     * @param {Object|string} toPose - Pose or pose name to end in, e.g. Poses.singularity
+     * @param {number} duration - Duration in frames
+     * @param {Function} tweenFn - Tweening function for the blend between the poses (default: Tween.linear)
+     * @param {Object} options - { anchor = ContactPoints.PEG, angle = null }
+     *   anchor: contact point that stays on its course while the rest of the rider morphs around it
+     *   angle: rotation of the poses in degrees (default: the sled's angle when the morph starts)
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Melt into a singularity over two seconds
+     * applyGravity([0, 3, 0], all, morphPose("current", Poses.singularity, 80, Tween.easeInQuad));
+     *
+     * @example
+     * // Unfold from a singularity into a kramual, anchored on the shoulder
+     * applyGravity([0, 5, 0], all, morphPose(Poses.singularity, Poses.kramual, 40, Tween.easeOutCubic,
+     *   { anchor: ContactPoints.SHOULDER }));
+     */
+    function morphPose(
+      fromPose,
+      toPose,
+      duration,
+      tweenFn = Tween.linear,
+      options = {},
+    ) {
+      const { anchor = ContactPoints.PEG, angle = null } = options;
+      if (!toPose) throw new Error("morphPose needs a pose to morph into");
+      const fromCurrent = fromPose === null || fromPose === "current";
+      const resolve = (pose) =>
+        typeof pose === "string" ? getPose(pose) : pose;
+      const from = fromCurrent ? null : resolve(fromPose);
+      const to = resolve(toPose);
+
+      const poseOffset = (pose, contactPoint, rotation) =>
+        rotateOffset(
+          {
+            x: pose[contactPoint].x - pose[anchor].x,
+            y: pose[contactPoint].y - pose[anchor].y,
+          },
+          rotation,
+        );
+
+      return animateRider(duration, anchor, (i, contactPoint, startRider) => {
+        const rotation = angle ?? sledAngle(startRider.points);
+        const start = fromCurrent
+          ? buildCurrentPose(startRider, anchor)[contactPoint]
+          : poseOffset(from, contactPoint, rotation);
+        const end = poseOffset(to, contactPoint, rotation);
+        const t = tweenFn((i + 1) / duration);
+        return {
+          x: start.x + (end.x - start.x) * t,
+          y: start.y + (end.y - start.y) * t,
+        };
+      });
+    }
+
+    /**
+     * Grows or shrinks the rider about an anchor over time
+     * @param {number} factor - Size to end at, relative to the starting shape or to options.pose
+     *   (0 collapses the rider into its anchor)
+     * @param {number} duration - Duration in frames
+     * @param {Function} tweenFn - Tweening function for the scaling (default: Tween.linear)
+     * @param {number} anchor - Contact point that keeps its course while the rider scales
+     *   around it (default: ContactPoints.PEG)
+     * @param {Object} options - { pose = null, restore = false, hold = 0 }
+     *   pose: pose or pose name to scale instead of the rider's current shape; it is turned
+     *     to the sled's angle when the scaling starts
+     *   restore: scale back to the starting shape over another duration frames afterwards
+     *   hold: frames to stay at the new size before restoring
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Shrink to half size over a second, hold for two and grow back
+     * applyGravity([0, 3, 0], all, scaleRider(0.5, 40, Tween.easeInOutQuad, ContactPoints.PEG,
+     *   { restore: true, hold: 80 }));
+     *
+     * @example
+     * // Grow into a double-sized kramual
+     * applyGravity([0, 3, 0], all, scaleRider(2, 20, Tween.easeOutQuad, ContactPoints.PEG,
+     *   { pose: "kramual" }));
+     */
+    function scaleRider(
+      factor,
+      duration,
+      tweenFn = Tween.linear,
+      anchor = ContactPoints.PEG,
+      options = {},
+    ) {
+      const { pose = null, restore = false, hold = 0 } = options;
+      if (!(duration > 0)) {
+        throw new Error("scaleRider needs a duration of at least one frame");
+      }
+      const reference = typeof pose === "string" ? getPose(pose) : pose;
+      const total = restore ? duration * 2 + hold : duration;
+
+      // How far along the scaling is on frame startFrame + i, 0 = starting shape
+      const progress = (i) => {
+        if (i < duration) return tweenFn((i + 1) / duration);
+        if (i < duration + hold) return 1;
+        return tweenFn(1 - (i - duration - hold + 1) / duration);
+      };
+
+      return animateRider(total, anchor, (i, contactPoint, startRider) => {
+        const from = buildCurrentPose(startRider, anchor)[contactPoint];
+        const base = reference
+          ? rotateOffset(
+              {
+                x: reference[contactPoint].x - reference[anchor].x,
+                y: reference[contactPoint].y - reference[anchor].y,
+              },
+              sledAngle(startRider.points),
+            )
+          : from;
+        const t = progress(i);
+        return {
+          x: from.x + (base.x * factor - from.x) * t,
+          y: from.y + (base.y * factor - from.y) * t,
+        };
+      });
+    }
+
+    const BACK_OVERSHOOT = 1.70158; // Overshoot of the back easings, ~10%
+
+    function easeOutBounce(t) {
+      const n1 = 7.5625;
+      const d1 = 2.75;
+      if (t < 1 / d1) return n1 * t * t;
+      if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+      if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+      return n1 * (t -= 2.625 / d1) * t + 0.984375;
+    }
+
+    /**
+     * CSS cubic-bezier() timing function: solves the curve's x for t, then returns its y
+     * @internal
+     */
+    function solveCubicBezier(x1, y1, x2, y2, t) {
+      const coefficients = (p1, p2) => [
+        1 - 3 * p2 + 3 * p1,
+        3 * p2 - 6 * p1,
+        3 * p1,
+      ];
+      const [ax, bx, cx] = coefficients(x1, x2);
+      const [ay, by, cy] = coefficients(y1, y2);
+      const curveX = (s) => ((ax * s + bx) * s + cx) * s;
+      const slopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+      // Newton's method converges in a few steps on most curves...
+      let s = t;
+      for (let i = 0; i < 8; i++) {
+        const error = curveX(s) - t;
+        if (Math.abs(error) < 1e-7) return ((ay * s + by) * s + cy) * s;
+        const slope = slopeX(s);
+        if (Math.abs(slope) < 1e-6) break;
+        s -= error / slope;
+      }
+      // ...and bisection catches the flat ones
+      let low = 0;
+      let high = 1;
+      s = t;
+      for (let i = 0; i < 50 && high - low > 1e-7; i++) {
+        if (curveX(s) < t) low = s;
+        else high = s;
+        s = (low + high) / 2;
+      }
+      return ((ay * s + by) * s + cy) * s;
+    }
+
     /**
      * Tweening/easing functions for smooth animations
      * All functions take a normalized time value (0-1) and return a tweened value (0-1)
@@ -615,69 +1690,297 @@
             : t < 0.5
               ? Math.pow(2, 20 * t - 10) / 2
               : (2 - Math.pow(2, -20 * t + 10)) / 2,
-    };
 
-    /**
-     * Locks contact points to specific axis positions using damped spring physics
-     * @param {number|null} x - X axis position to lock to (null to ignore X)
-     * @param {number|null} y - Y axis position to lock to (null to ignore Y)
-     * @param {number} maxForce - Maximum spring force (proportional gain)
-     * @param {number} duration - Duration in frames to maintain lock
-     * @param {Function} tweenFn - Tweening function that modulates spring strength (default: Tween.none)
-     * @param {number} damping - Damping coefficient (0-1). Higher = more damping. (default: 0.5)
-     * @returns {Function} Function (startFrame, contactPoints) => keyframes
-     */
-    function lockToAxisFn(
-      x,
-      y,
-      maxForce,
-      duration,
-      tweenFn = Tween.none,
-      damping = 0.5,
-    ) {
-      return (startFrame, contactPoints) => {
-        const keyframes = [];
-        for (let i = 0; i < duration; i++) {
-          keyframes.push([
-            startFrame + i,
-            contactPoints,
-            (keyframeContext) => {
-              const pos = keyframeContext.contactPointData.pos;
-              const vel = keyframeContext.contactPointData.vel;
-              const t = i / Math.max(duration - 1, 1); // Normalize time to 0-1
-              const springStrength = tweenFn(t); // 0-1 multiplier for spring force
+      /**
+       * Elastic ease in - winds up with growing oscillations below 0
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeInElastic: (t) =>
+        t === 0
+          ? 0
+          : t === 1
+            ? 1
+            : -Math.pow(2, 10 * t - 10) *
+              Math.sin(((t * 10 - 10.75) * 2 * Math.PI) / 3),
 
-              let force = { x: 0, y: 0 };
+      /**
+       * Elastic ease out - overshoots 1 and settles with shrinking oscillations
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeOutElastic: (t) =>
+        t === 0
+          ? 0
+          : t === 1
+            ? 1
+            : Math.pow(2, -10 * t) *
+                Math.sin(((t * 10 - 0.75) * 2 * Math.PI) / 3) +
+              1,
 
-              // X-axis: Spring force toward target + velocity damping
-              if (x !== null) {
-                const dx = x - pos.x; // Displacement from target
-                const springForce =
-                  springStrength *
-                  maxForce *
-                  Math.sign(dx) *
-                  Math.min(Math.abs(dx), 1);
-                const dampingForce = -damping * maxForce * vel.x;
-                force.x = Math.max(
-                  -maxForce,
-                  Math.min(maxForce, springForce + dampingForce),
-                );
-              }
+      /**
+       * Elastic ease in-out
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeInOutElastic: (t) =>
+        t === 0
+          ? 0
+          : t === 1
+            ? 1
+            : t < 0.5
+              ? -(
+                  Math.pow(2, 20 * t - 10) *
+                  Math.sin(((20 * t - 11.125) * 2 * Math.PI) / 4.5)
+                ) / 2
+              : (Math.pow(2, -20 * t + 10) *
+                  Math.sin(((20 * t - 11.125) * 2 * Math.PI) / 4.5)) /
+                  2 +
+                1,
 
-              // Y-axis: Spring force toward target + velocity damping
-              if (y !== null) {
-                const dy = y - pos.y; // Displacement from target
-                const springForce =
-                  springStrength *
-                  maxForce *
-                  Math.sign(dy) *
-                  Math.min(Math.abs(dy), 1);
-                const dampingForce = -damping * maxForce * vel.y;
-                force.y = Math.max(
-                  -maxForce,
-                  Math.min(maxForce, springForce + dampingForce),
-                );
-              }
+      /**
+       * Bounce ease in
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeInBounce: (t) => 1 - easeOutBounce(1 - t),
+
+      /**
+       * Bounce ease out - lands on 1 like a dropped ball
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeOutBounce,
+
+      /**
+       * Bounce ease in-out
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeInOutBounce: (t) =>
+        t < 0.5
+          ? (1 - easeOutBounce(1 - 2 * t)) / 2
+          : (1 + easeOutBounce(2 * t - 1)) / 2,
+
+      /**
+       * Back ease in - pulls back below 0 before moving
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeInBack: (t) =>
+        (BACK_OVERSHOOT + 1) * t * t * t - BACK_OVERSHOOT * t * t,
+
+      /**
+       * Back ease out - overshoots 1 before settling
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeOutBack: (t) =>
+        1 +
+        (BACK_OVERSHOOT + 1) * Math.pow(t - 1, 3) +
+        BACK_OVERSHOOT * Math.pow(t - 1, 2),
+
+      /**
+       * Back ease in-out
+       * @param {number} t - Normalized time (0-1)
+       * @returns {number} Eased value
+       */
+      easeInOutBack: (t) => {
+        const c = BACK_OVERSHOOT * 1.525;
+        return t < 0.5
+          ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+          : (Math.pow(2 * t - 2, 2) * ((c + 1) * (2 * t - 2) + c) + 2) / 2;
+      },
+
+      /**
+       * Stepped easing, like CSS steps()
+       * @param {number} count - Number of steps
+       * @param {string} position - Where the jumps happen: "end" (default), "start", "both"
+       *   or "none", as CSS jump-end, jump-start, jump-both and jump-none
+       * @returns {Function} Tween function
+       */
+      steps: (count, position = "end") => {
+        const jumps = { start: 0, end: 0, both: 1, none: -1 }[position];
+        if (jumps === undefined) {
+          throw new Error(
+            `Unknown steps position "${position}". Use "start", "end", "both" or "none".`,
+          );
+        }
+        if (!Number.isInteger(count) || count < (position === "none" ? 2 : 1)) {
+          throw new Error(
+            `steps needs a whole number of steps of at least ${position === "none" ? 2 : 1}`,
+          );
+        }
+        const intervals = count + jumps;
+        return (t) => {
+          let step = Math.floor(t * count);
+          if (position === "start" || position === "both") step += 1;
+          return Math.min(Math.max(step, 0), intervals) / intervals;
+        };
+      },
+
+      /**
+       * Cubic Bezier easing with the same control points as CSS cubic-bezier()
+       * and After Effects' speed graph
+       * @param {number} x1 - First control point X (0-1)
+       * @param {number} y1 - First control point Y (may leave 0-1 to overshoot)
+       * @param {number} x2 - Second control point X (0-1)
+       * @param {number} y2 - Second control point Y (may leave 0-1 to overshoot)
+       * @returns {Function} Tween function
+       *
+       * @example
+       * // CSS "ease"
+       * Tween.cubicBezier(0.25, 0.1, 0.25, 1)
+       */
+      cubicBezier: (x1, y1, x2, y2) => {
+        if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) {
+          throw new Error("cubicBezier control point X values must be 0-1");
+        }
+        if (x1 === y1 && x2 === y2) return (t) => t;
+        return (t) =>
+          t <= 0 || t >= 1 ? t : solveCubicBezier(x1, y1, x2, y2, t);
+      },
+
+      /**
+       * Piecewise curve through keyframed values
+       * @param {Array<[number, number, Function?]>} points - [time, value, tweenFn] sorted by
+       *   time; tweenFn (default: Tween.linear) eases the segment leading into that point.
+       *   Values before the first and after the last point are held.
+       * @returns {Function} Tween function
+       *
+       * @example
+       * // Rise quickly, hold, then ease back down halfway
+       * Tween.keyframes([[0, 0], [0.2, 1, Tween.easeOutQuad], [0.6, 1], [1, 0.5, Tween.easeInOutSine]])
+       */
+      keyframes: (points) => {
+        if (!Array.isArray(points) || points.length === 0) {
+          throw new Error(
+            "Tween.keyframes needs at least one [time, value] point",
+          );
+        }
+        points.forEach(([time], i) => {
+          if (i > 0 && time < points[i - 1][0]) {
+            throw new Error("Tween.keyframes points must be sorted by time");
+          }
+        });
+        return (t) => {
+          if (t <= points[0][0]) return points[0][1];
+          const next = points.findIndex(([time]) => time > t);
+          if (next === -1) return points[points.length - 1][1];
+          const [fromTime, fromValue] = points[next - 1];
+          const [toTime, toValue, tweenFn = Tween.linear] = points[next];
+          const progress = tweenFn((t - fromTime) / (toTime - fromTime));
+          return fromValue + (toValue - fromValue) * progress;
+        };
+      },
+
+      /**
+       * Plays a tween backwards, from its end value to its start value
+       * @param {Function} tweenFn - Tween to reverse
+       * @returns {Function} Tween function
+       */
+      reverse: (tweenFn) => (t) => tweenFn(1 - t),
+
+      /**
+       * Plays a tween forwards in the first half and backwards in the second (yoyo)
+       * @param {Function} tweenFn - Tween to mirror
+       * @returns {Function} Tween function
+       */
+      mirror: (tweenFn) => (t) => tweenFn(t < 0.5 ? 2 * t : 2 - 2 * t),
+
+      /**
+       * Plays tweens one after another, each over an equal share of the time.
+       * Their values are used as they are, so
+       * chain(Tween.easeOutQuad, Tween.reverse(Tween.easeInQuad)) rises and falls.
+       * @param {...Function} tweenFns - Tweens in playing order
+       * @returns {Function} Tween function
+       */
+      chain: (...tweenFns) => {
+        if (tweenFns.length === 0) {
+          throw new Error("Tween.chain needs at least one tween");
+        }
+        return (t) => {
+          const scaled = t * tweenFns.length;
+          const index = Math.min(
+            Math.max(Math.floor(scaled), 0),
+            tweenFns.length - 1,
+          );
+          return tweenFns[index](scaled - index);
+        };
+      },
+
+      /**
+       * Multiplies tweens together, e.g. to fade a bounce in or out
+       * @param {...Function} tweenFns - Tweens to multiply
+       * @returns {Function} Tween function
+       */
+      multiply:
+        (...tweenFns) =>
+        (t) =>
+          tweenFns.reduce((product, tweenFn) => product * tweenFn(t), 1),
+    };
+
+    /**
+     * Locks contact points to specific axis positions using damped spring physics
+     * @param {number|null} x - X axis position to lock to (null to ignore X)
+     * @param {number|null} y - Y axis position to lock to (null to ignore Y)
+     * @param {number} maxForce - Maximum spring force (proportional gain)
+     * @param {number} duration - Duration in frames to maintain lock
+     * @param {Function} tweenFn - Tweening function that modulates spring strength (default: Tween.none)
+     * @param {number} damping - Damping coefficient (0-1). Higher = more damping. (default: 0.5)
+     * @returns {Function} Function (startFrame, contactPoints) => keyframes
+     */
+    function lockToAxisFn(
+      x,
+      y,
+      maxForce,
+      duration,
+      tweenFn = Tween.none,
+      damping = 0.5,
+    ) {
+      return (startFrame, contactPoints) => {
+        const keyframes = [];
+        for (let i = 0; i < duration; i++) {
+          keyframes.push([
+            startFrame + i,
+            contactPoints,
+            (keyframeContext) => {
+              const pos = keyframeContext.contactPointData.pos;
+              const vel = keyframeContext.contactPointData.vel;
+              const t = i / Math.max(duration - 1, 1); // Normalize time to 0-1
+              const springStrength = tweenFn(t); // 0-1 multiplier for spring force
+
+              let force = { x: 0, y: 0 };
+
+              // X-axis: Spring force toward target + velocity damping
+              if (x !== null) {
+                const dx = x - pos.x; // Displacement from target
+                const springForce =
+                  springStrength *
+                  maxForce *
+                  Math.sign(dx) *
+                  Math.min(Math.abs(dx), 1);
+                const dampingForce = -damping * maxForce * vel.x;
+                force.x = Math.max(
+                  -maxForce,
+                  Math.min(maxForce, springForce + dampingForce),
+                );
+              }
+
+              // Y-axis: Spring force toward target + velocity damping
+              if (y !== null) {
+                const dy = y - pos.y; // Displacement from target
+                const springForce =
+                  springStrength *
+                  maxForce *
+                  Math.sign(dy) *
+                  Math.min(Math.abs(dy), 1);
+                const dampingForce = -damping * maxForce * vel.y;
+                force.y = Math.max(
+                  -maxForce,
+                  Math.min(maxForce, springForce + dampingForce),
+                );
+              }
 
               return force;
             },
@@ -686,10 +1989,7 @@
         keyframes.push([
           startFrame + duration,
           contactPoints,
-          (keyframeContext) => ({
-            x: keyframeContext.lastDefaultGravity?.x ?? 0,
-            y: keyframeContext.lastDefaultGravity?.y ?? 0.175,
-          }),
+          restoreGravity(),
         ]);
         return keyframes;
       };
@@ -934,10 +2234,7 @@
         keyframes.push([
           startFrame + duration,
           contactPoints,
-          (keyframeContext) => ({
-            x: keyframeContext.lastDefaultGravity?.x ?? 0,
-            y: keyframeContext.lastDefaultGravity?.y ?? 0.175,
-          }),
+          restoreGravity(),
         ]);
         return keyframes;
       };
@@ -1023,101 +2320,990 @@
       );
     }
 
-    /**
-     * Interval functions for spacing keyframe application across contact point groups
-     */
-    const Intervals = {
-      /**
-       * Apply to all groups simultaneously (no offset)
-       * @returns {number} Always returns 0
-       */
-      simultaneous: () => 0,
+    const BEZIER_SAMPLES = 24; // Straight pieces per Bezier segment
 
-      /**
-       * Stagger application by fixed frame intervals
-       * @param {number} frames - Number of frames between each group
-       * @returns {Function} Function that returns frame offset for group index
-       */
-      stagger: (frames) => (i) => i * frames,
+    function toPathPoint(point, index) {
+      if (Array.isArray(point) && point.length >= 2) {
+        return { x: point[0], y: point[1] };
+      }
+      if (point && typeof point === "object" && "x" in point && "y" in point) {
+        return { x: point.x, y: point.y };
+      }
+      throw new Error(`Path point ${index} must be [x, y] or {x, y}`);
+    }
 
-      /**
-       * Apply with exponential spacing
-       * @param {number} base - Base for exponential growth
-       * @param {number} scale - Scaling factor (default: 1)
-       * @returns {Function} Function that returns frame offset for group index
-       */
-      exponential:
-        (base, scale = 1) =>
-        (i) =>
-          Math.pow(base, i) * scale,
+    function isBezierPath(path) {
+      return (
+        Array.isArray(path[0]) &&
+        path[0].length === 4 &&
+        typeof path[0][0] === "object"
+      );
+    }
 
-      /**
-       * Apply with sinusoidal spacing
-       * @param {number} period - Period of the sine wave
-       * @param {number} amplitude - Amplitude of the sine wave
-       * @returns {Function} Function that returns frame offset for group index
-       */
-      sine: (period, amplitude) => (i) => Math.sin(i * period) * amplitude,
-    };
+    function sampleBezierSegments(segments) {
+      const points = [];
+      segments.forEach((segment, segmentIndex) => {
+        if (!Array.isArray(segment) || segment.length !== 4) {
+          throw new Error(
+            `Bezier segment ${segmentIndex} must be [start, control1, control2, end]`,
+          );
+        }
+        const [p0, p1, p2, p3] = segment.map((point, i) =>
+          toPathPoint(point, `${segmentIndex}.${i}`),
+        );
+        for (let i = segmentIndex === 0 ? 0 : 1; i <= BEZIER_SAMPLES; i++) {
+          const u = i / BEZIER_SAMPLES;
+          const v = 1 - u;
+          const a = v * v * v;
+          const b = 3 * v * v * u;
+          const c = 3 * v * u * u;
+          const d = u * u * u;
+          points.push({
+            x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+            y: a * p0.y + b * p1.y + c * p2.y + d * p3.y,
+          });
+        }
+      });
+      return points;
+    }
 
-    function getGravityForContactPoint({
-      keyframes,
-      frameIndex,
-      globalCpIndex,
-      context,
-    }) {
-      // Initialize gravity state cache per contact point
-      if (!window.__gravityStateCache) {
-        window.__gravityStateCache = {};
+    /**
+     * Builds an arc-length parametrized path from a polyline or cubic Bezier segments
+     * @param {Array} path - Points ([x, y] or {x, y}) or Bezier segments [start, control1, control2, end]
+     * @param {boolean} closed - Whether the path loops back to its first point
+     * @returns {Object} { length, closed, pointAt(distance) and closestPoint({x, y}), both returning
+     *   {x, y, tangentX, tangentY} }
+     * @internal
+     */
+    function buildPath(path, closed = false) {
+      if (!Array.isArray(path) || path.length === 0) {
+        throw new Error(
+          "A path needs at least two points or one Bezier segment",
+        );
+      }
+      const points = isBezierPath(path)
+        ? sampleBezierSegments(path)
+        : path.map(toPathPoint);
+      if (closed) points.push({ ...points[0] });
+
+      // Cumulative arc length at every vertex, skipping repeated points
+      const vertices = [points[0]];
+      const distances = [0];
+      for (const point of points.slice(1)) {
+        const previous = vertices[vertices.length - 1];
+        const length = Math.hypot(point.x - previous.x, point.y - previous.y);
+        if (length === 0) continue;
+        vertices.push(point);
+        distances.push(distances[distances.length - 1] + length);
+      }
+      if (vertices.length < 2) {
+        throw new Error("A path needs at least two distinct points");
       }
+      const length = distances[distances.length - 1];
+
+      function pointAt(distance) {
+        const s = closed
+          ? ((distance % length) + length) % length
+          : Math.max(0, Math.min(length, distance));
+
+        let lo = 0;
+        let hi = distances.length - 1;
+        while (hi - lo > 1) {
+          const mid = (lo + hi) >> 1;
+          if (distances[mid] <= s) lo = mid;
+          else hi = mid;
+        }
 
-      const stateCache = window.__gravityStateCache;
-      if (!stateCache[globalCpIndex]) {
-        stateCache[globalCpIndex] = {
-          lastProcessedFrame: -1,
-          lastGravity: undefined,
-          lastDefaultGravity: null,
-          nextKeyframeIndex: 0,
+        const a = vertices[lo];
+        const b = vertices[hi];
+        const segmentLength = distances[hi] - distances[lo];
+        const u = (s - distances[lo]) / segmentLength;
+        return {
+          x: a.x + (b.x - a.x) * u,
+          y: a.y + (b.y - a.y) * u,
+          tangentX: (b.x - a.x) / segmentLength,
+          tangentY: (b.y - a.y) / segmentLength,
         };
       }
 
-      const cpState = stateCache[globalCpIndex];
+      function closestPoint(pos) {
+        let best = null;
+        for (let i = 1; i < vertices.length; i++) {
+          const a = vertices[i - 1];
+          const b = vertices[i];
+          const segmentLength = distances[i] - distances[i - 1];
+          const tangentX = (b.x - a.x) / segmentLength;
+          const tangentY = (b.y - a.y) / segmentLength;
+          const along = Math.max(
+            0,
+            Math.min(
+              segmentLength,
+              (pos.x - a.x) * tangentX + (pos.y - a.y) * tangentY,
+            ),
+          );
+          const x = a.x + tangentX * along;
+          const y = a.y + tangentY * along;
+          const distanceSquared = (pos.x - x) ** 2 + (pos.y - y) ** 2;
+          if (!best || distanceSquared < best.distanceSquared) {
+            best = { x, y, tangentX, tangentY, distanceSquared };
+          }
+        }
+        return best;
+      }
 
-      // Use indexed keyframes for this specific contact point (fast lookup)
-      const contactPointKeyframes =
-        window.__keyframesByContactPoint?.[globalCpIndex] || [];
+      return { length, closed, pointAt, closestPoint };
+    }
 
-      // Detect timeline scrubbing/rewinding - reset cache if we went backwards
-      if (frameIndex < cpState.lastProcessedFrame) {
-        cpState.lastProcessedFrame = -1;
-        cpState.lastGravity = undefined;
-        cpState.lastDefaultGravity = null;
-        cpState.nextKeyframeIndex = 0;
+    /**
+     * Moves contact points along a polyline or Bezier spline at a constant arc-length speed.
+     * Each frame places the anchor exactly on the path and moves the other points with it,
+     * keeping their current offsets; the rider leaves the path with the path's velocity.
+     * @param {Array} path - Points ([x, y] or {x, y}) or cubic Bezier segments [start, control1, control2, end]
+     * @param {number} speed - Distance along the path per frame (negative runs it backwards)
+     * @param {number} duration - Frames to follow the path (default: null, one pass from startAt to the end or once around a closed path)
+     * @param {Object} options - { closed = false, orientToPath = false, anchor = ContactPoints.PEG, startAt = 0 }
+     *   closed: join the last point back to the first and loop
+     *   orientToPath: keep the sled (tail to nose) pointing along the direction of travel
+     *   anchor: contact point that is placed on the path
+     *   startAt: distance along the path to start from
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Ride a zigzag at 4 px/frame
+     * applyGravity([0, 1, 0], all, followPath([[0, 0], [100, -50], [200, 0]], 4));
+     *
+     * @example
+     * // Loop twice around a closed Bezier circle, leaning into the curve
+     * const circle = [
+     *   [[0, -100], [55, -100], [100, -55], [100, 0]],
+     *   [[100, 0], [100, 55], [55, 100], [0, 100]],
+     *   [[0, 100], [-55, 100], [-100, 55], [-100, 0]],
+     *   [[-100, 0], [-100, -55], [-55, -100], [0, -100]],
+     * ];
+     * applyGravity([0, 1, 0], all, followPath(circle, 5, 252, { closed: true, orientToPath: true }));
+     */
+    function followPath(path, speed, duration = null, options = {}) {
+      const {
+        closed = false,
+        orientToPath = false,
+        anchor = ContactPoints.PEG,
+        startAt = 0,
+      } = options;
+      if (typeof speed !== "number" || !Number.isFinite(speed) || speed === 0) {
+        throw new Error("followPath speed must be a non-zero number");
       }
+      const track = buildPath(path, closed);
+      const distance = closed
+        ? track.length
+        : speed > 0
+          ? track.length - startAt
+          : startAt;
+      const frames = duration ?? Math.ceil(distance / Math.abs(speed)) + 1;
+      const direction = Math.sign(speed);
 
-      // Only process new keyframes since last frame
-      let found = cpState.lastGravity !== undefined;
-      let lastGravity = cpState.lastGravity;
-      let lastDefaultGravity = cpState.lastDefaultGravity;
-
-      // Start from where we left off, not from the beginning
-      for (
-        let i = cpState.nextKeyframeIndex;
-        i < contactPointKeyframes.length;
-        i++
-      ) {
-        const [timestamp, gravityFn] = contactPointKeyframes[i];
-        const frame = Array.isArray(timestamp)
-          ? timestampToFrames(timestamp)
-          : timestamp;
+      return (startFrame, contactPoints) => {
+        const keyframes = [];
+        for (let i = 0; i < frames; i++) {
+          const target = track.pointAt(startAt + speed * i);
+          keyframes.push([
+            startFrame + i,
+            contactPoints,
+            (keyframeContext) => {
+              const points = keyframeContext.riderData.points;
+              const { pos, vel } = keyframeContext.contactPointData;
+              const anchorPos = points[anchor].pos;
+              let offset = { x: pos.x - anchorPos.x, y: pos.y - anchorPos.y };
+
+              if (orientToPath) {
+                // Turn the whole rider so the sled lines up with the direction of travel
+                const tail = points[ContactPoints.TAIL].pos;
+                const nose = points[ContactPoints.NOSE].pos;
+                const heading = Math.atan2(nose.y - tail.y, nose.x - tail.x);
+                const travel = Math.atan2(
+                  direction * target.tangentY,
+                  direction * target.tangentX,
+                );
+                let turn = travel - heading;
+                turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+                offset = rotateOffset(offset, turn * (180 / Math.PI));
+              }
 
-        if (frame > frameIndex) {
-          // Haven't reached this keyframe yet, stop here
-          cpState.nextKeyframeIndex = i;
-          break;
+              return {
+                x: target.x + offset.x - pos.x - vel.x,
+                y: target.y + offset.y - pos.y - vel.y,
+              };
+            },
+          ]);
         }
+        keyframes.push([startFrame + frames, contactPoints, restoreGravity()]);
+        return keyframes;
+      };
+    }
 
-        lastGravity = gravityFn({
+    const riderCenters = new WeakMap(); // riderEntities of a frame -> centers by rider index
+
+    /**
+     * Center of the sled and body (points 0-9) of a rider in the frame being computed
+     * @internal
+     */
+    function getRiderCenter(riderIndex) {
+      const riderEntities = window.__gravityFrameCache?.riderEntities;
+      if (!riderEntities?.[riderIndex]?.points) return null;
+      if (!riderCenters.has(riderEntities)) riderCenters.set(riderEntities, []);
+      const centers = riderCenters.get(riderEntities);
+      if (!centers[riderIndex]) {
+        const points = riderEntities[riderIndex].points;
+        let x = 0;
+        let y = 0;
+        for (let cp = 0; cp < ContactPoints.SCARF_0; cp++) {
+          x += points[cp].pos.x;
+          y += points[cp].pos.y;
+        }
+        centers[riderIndex] = {
+          x: x / ContactPoints.SCARF_0,
+          y: y / ContactPoints.SCARF_0,
+        };
+      }
+      return centers[riderIndex];
+    }
+
+    /**
+     * Rider indices of a RiderSelection (live or saved), a rider string such as "lead" or
+     * "#0,#2", or an array of rider indices
+     * @internal
+     */
+    function resolveRiderSource(source) {
+      if (Array.isArray(source?.riderIndices)) return source.riderIndices;
+      if (typeof source === "string")
+        return resolveRiderIndices(source, source);
+      if (Array.isArray(source) && source.every(Number.isInteger))
+        return source;
+      throw new Error(
+        'Expected a RiderSelection, a rider string such as "lead" or an array of rider indices',
+      );
+    }
+
+    /**
+     * Pull on a point toward a rider center: strength / distance^falloff, pushing apart
+     * instead when closer than repelWithin
+     * @internal
+     */
+    function pullToward(pos, center, strength, falloff, options) {
+      const {
+        minDistance = 10,
+        maxDistance = Infinity,
+        repelWithin = 0,
+      } = options;
+      const dx = center.x - pos.x;
+      const dy = center.y - pos.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance === 0 || distance > maxDistance) return { x: 0, y: 0 };
+      const magnitude =
+        (strength / Math.pow(Math.max(distance, minDistance), falloff)) *
+        (distance < repelWithin ? -1 : 1);
+      return { x: (dx / distance) * magnitude, y: (dy / distance) * magnitude };
+    }
+
+    /**
+     * fieldKeyframes with the force summed over source riders, resolved once per start
+     * from the targeted points
+     * @internal
+     */
+    function riderForceKeyframes(
+      duration,
+      getSources,
+      strength,
+      falloff,
+      options,
+    ) {
+      return (startFrame, contactPoints) => {
+        const sources = getSources(contactPoints);
+        const forceAt = (keyframeContext) => {
+          const force = { x: 0, y: 0 };
+          const ownRider = Math.floor(keyframeContext.globalCpIndex / 17);
+          const pos = keyframeContext.contactPointData.pos;
+          for (const riderIndex of sources) {
+            if (riderIndex === ownRider) continue;
+            const center = getRiderCenter(riderIndex);
+            if (!center) continue;
+            const pull = pullToward(pos, center, strength, falloff, options);
+            force.x += pull.x;
+            force.y += pull.y;
+          }
+          return force;
+        };
+        return fieldKeyframes(duration, forceAt)(startFrame, contactPoints);
+      };
+    }
+
+    /**
+     * Pulls contact points toward other riders, on top of the gravity already acting on them.
+     * Each point is pulled toward the center (sled and body) of every source rider except its own.
+     * @param {RiderSelection|string|Array} source - Riders to pull toward: a RiderSelection, a rider
+     *   string such as "lead" or "#0", or rider indices
+     * @param {number} strength - Force at a distance of 1 (scaled by distance^-falloff)
+     * @param {number} falloff - Distance exponent: 0 constant, 1 linear, 2 inverse-square (default: 2)
+     * @param {number} duration - Duration in frames
+     * @param {Object} options - { minDistance = 10, maxDistance = Infinity, repelWithin = 0 }
+     *   minDistance: distances below this count as this, so the force stays bounded
+     *   maxDistance: sources further away are ignored
+     *   repelWithin: closer than this the force pushes apart instead (soft collisions)
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // The crowd orbits the lead rider for 10 seconds
+     * applyGravity([0, 1, 0], "crowd", attractTo(getRidersByGroup("lead"), 50, 1, 400));
+     */
+    function attractTo(
+      source,
+      strength,
+      falloff = 2,
+      duration = 1,
+      options = {},
+    ) {
+      return riderForceKeyframes(
+        duration,
+        () => resolveRiderSource(source),
+        strength,
+        falloff,
+        options,
+      );
+    }
+
+    /**
+     * Pushes contact points away from other riders; the opposite of attractTo
+     * @param {RiderSelection|string|Array} source - Riders to push away from
+     * @param {number} strength - Force at a distance of 1 (scaled by distance^-falloff)
+     * @param {number} falloff - Distance exponent (default: 2)
+     * @param {number} duration - Duration in frames
+     * @param {Object} options - { minDistance = 10, maxDistance = Infinity }, as for attractTo
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Riders scatter away from the bomb rider within 100 px
+     * applyGravity([0, 4, 0], "*", repelFrom("#0", 200, 2, 80, { maxDistance: 100 }));
+     */
+    function repelFrom(
+      source,
+      strength,
+      falloff = 2,
+      duration = 1,
+      options = {},
+    ) {
+      return attractTo(source, -strength, falloff, duration, options);
+    }
+
+    /**
+     * Mutual attraction between every targeted rider, like bodies under gravity
+     * @param {number} strength - Force at a distance of 1 (negative repels)
+     * @param {number} falloff - Distance exponent (default: 2)
+     * @param {number} duration - Duration in frames
+     * @param {Object} options - { minDistance = 10, maxDistance = Infinity, repelWithin = 0 },
+     *   as for attractTo; repelWithin keeps riders from passing through each other
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // A swarm that clumps together without collapsing into one point
+     * applyGravity([0, 0, 0], "swarm", nBody(80, 2, 600, { repelWithin: 20 }));
+     */
+    function nBody(strength, falloff = 2, duration = 1, options = {}) {
+      return riderForceKeyframes(
+        duration,
+        (contactPoints) => [
+          ...new Set(contactPoints.map((cp) => Math.floor(cp / 17))),
+        ],
+        strength,
+        falloff,
+        options,
+      );
+    }
+
+    /**
+     * Keyframes for a force field, one per frame, then released. The force is added on top
+     * of whatever else acts on the points.
+     * @param {number} duration - Duration in frames
+     * @param {Function} forceAt - (keyframeContext) => {x, y} force on the point
+     * @param {Array<number>|null} points - Contact points (0-16) the field acts on, or null for
+     *   every targeted point
+     * @returns {Function} Keyframe generator function
+     * @internal
+     */
+    function fieldKeyframes(duration, forceAt, points = null) {
+      return (startFrame, targetedPoints) => {
+        const contactPoints = points
+          ? targetedPoints.filter((cp) => points.includes(cp % 17))
+          : targetedPoints;
+        const keyframes = [];
+        for (let i = 0; i < duration; i++) {
+          keyframes.push([
+            startFrame + i,
+            contactPoints,
+            (keyframeContext) => ({
+              ...forceAt(keyframeContext),
+              __blend: "add",
+            }),
+          ]);
+        }
+        keyframes.push([
+          startFrame + duration,
+          contactPoints,
+          restoreGravity(),
+        ]);
+        return keyframes;
+      };
+    }
+
+    /**
+     * mulberry32: small, fast seeded generator with the same sequence on every machine
+     * @param {number} seed - Any number; only its 32-bit integer part is used
+     * @returns {Function} () => number in [0, 1)
+     * @internal
+     */
+    function seededRandom(seed) {
+      let state = seed >>> 0;
+      return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      };
+    }
+
+    const perlinBySeed = new Map();
+
+    /**
+     * 3D Perlin noise (Ken Perlin's improved noise) with a permutation shuffled from the seed
+     * @param {number} seed - Seed
+     * @returns {Function} (x, y, z) => smooth noise, roughly -1 to 1, 0 on whole coordinates
+     * @internal
+     */
+    function seededPerlin(seed) {
+      if (perlinBySeed.has(seed)) return perlinBySeed.get(seed);
+
+      const random = seededRandom(seed);
+      const permutation = Array.from({ length: 256 }, (_, i) => i);
+      for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+      }
+      // Doubled so lookups can run past 255 without wrapping
+      const p = new Uint8Array(512);
+      for (let i = 0; i < 512; i++) p[i] = permutation[i & 255];
+
+      const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+      const lerp = (a, b, t) => a + t * (b - a);
+      const grad = (hash, x, y, z) => {
+        const h = hash & 15;
+        const u = h < 8 ? x : y;
+        const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
+        return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+      };
+
+      const noise = (x, y, z) => {
+        const X = Math.floor(x) & 255;
+        const Y = Math.floor(y) & 255;
+        const Z = Math.floor(z) & 255;
+        x -= Math.floor(x);
+        y -= Math.floor(y);
+        z -= Math.floor(z);
+        const u = fade(x);
+        const v = fade(y);
+        const w = fade(z);
+        const A = p[X] + Y;
+        const AA = p[A] + Z;
+        const AB = p[A + 1] + Z;
+        const B = p[X + 1] + Y;
+        const BA = p[B] + Z;
+        const BB = p[B + 1] + Z;
+
+        return lerp(
+          lerp(
+            lerp(grad(p[AA], x, y, z), grad(p[BA], x - 1, y, z), u),
+            lerp(grad(p[AB], x, y - 1, z), grad(p[BB], x - 1, y - 1, z), u),
+            v,
+          ),
+          lerp(
+            lerp(
+              grad(p[AA + 1], x, y, z - 1),
+              grad(p[BA + 1], x - 1, y, z - 1),
+              u,
+            ),
+            lerp(
+              grad(p[AB + 1], x, y - 1, z - 1),
+              grad(p[BB + 1], x - 1, y - 1, z - 1),
+              u,
+            ),
+            v,
+          ),
+          w,
+        );
+      };
+      perlinBySeed.set(seed, noise);
+      return noise;
+    }
+
+    /**
+     * Perlin noise summed over octaves, each twice as fine and half as strong
+     * @internal
+     */
+    function fractalNoise(noise, x, y, z, octaves) {
+      let total = 0;
+      let amplitude = 1;
+      let frequency = 1;
+      let range = 0;
+      for (let i = 0; i < octaves; i++) {
+        total += noise(x * frequency, y * frequency, z * frequency) * amplitude;
+        range += amplitude;
+        amplitude /= 2;
+        frequency *= 2;
+      }
+      return total / range;
+    }
+
+    /**
+     * Organic, swirling gravity from seeded noise over position and time, added on top of the
+     * gravity already acting on the points. The same seed gives the same field on every
+     * playback and machine.
+     * @param {number} scale - Size of the swirls in pixels
+     * @param {number} strength - Largest force per axis
+     * @param {number} speed - How fast the field changes, in noise cycles per second (0 freezes it)
+     * @param {number} seed - Seed for the field (default: 0)
+     * @param {number} duration - Duration in frames (default: 1)
+     * @param {Object} options - { octaves = 1 }
+     *   octaves: layers of finer detail on top of the base swirls
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Ten seconds of gusty air, swirls about 200 px across
+     * applyGravity([0, 2, 0], all, turbulence(200, 0.1, 0.5, 42, 400, { octaves: 3 }));
+     */
+    function turbulence(
+      scale,
+      strength,
+      speed = 1,
+      seed = 0,
+      duration = 1,
+      options = {},
+    ) {
+      const { octaves = 1 } = options;
+      if (!(scale > 0)) throw new Error("turbulence scale must be positive");
+      const noise = seededPerlin(seed);
+      return fieldKeyframes(duration, (keyframeContext) => {
+        const { pos } = keyframeContext.contactPointData;
+        const x = pos.x / scale;
+        const y = pos.y / scale;
+        const time = (keyframeContext.frameIndex * speed) / FRAMES_PER_SECOND;
+        // The y force reads a far-away slice of the same noise so the axes are unrelated
+        return {
+          x: fractalNoise(noise, x, y, time, octaves) * strength,
+          y: fractalNoise(noise, x, y, time + 128.5, octaves) * strength,
+        };
+      });
+    }
+
+    /**
+     * Adds a position-dependent force field on top of the gravity already acting on the points.
+     * Several vectorField items (and turbulence) stack: each adds its force.
+     * @param {Function|Array<Function>} field - (pos, vel, frame) => {x, y} force at pos, e.g.
+     *   from Fields (well, vortex, uniform, sink); an array of fields is summed
+     * @param {number} duration - Duration in frames (default: 1)
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // A black hole that also spins riders around it, for ten seconds
+     * applyGravity([0, 2, 0], all, vectorField([Fields.well(400, 0, 500), Fields.vortex(400, 0, 20)], 400));
+     *
+     * @example
+     * // Custom field: wind that grows with height
+     * applyGravity([0, 2, 0], all, vectorField((pos) => ({ x: Math.max(0, -pos.y) * 0.001, y: 0 }), 200));
+     */
+    function vectorField(field, duration = 1) {
+      const fields = Array.isArray(field) ? field : [field];
+      if (fields.length === 0 || fields.some((f) => typeof f !== "function")) {
+        throw new Error(
+          "vectorField needs a field function (pos, vel, frame) => {x, y}, e.g. Fields.well(0, 0, 100)",
+        );
+      }
+      return fieldKeyframes(duration, (keyframeContext) => {
+        const { pos, vel } = keyframeContext.contactPointData;
+        const force = { x: 0, y: 0 };
+        for (const f of fields) {
+          const { x, y } = f(pos, vel, keyframeContext.frameIndex);
+          force.x += x;
+          force.y += y;
+        }
+        return force;
+      });
+    }
+
+    const DRAG_MODES = ["linear", "quadratic"];
+
+    /**
+     * Contact points (0-16) named by a points option: null, indices, or point groups as in
+     * targets ("scarf", "body", "sled,hands")
+     * @internal
+     */
+    function resolvePointFilter(points) {
+      if (points === null) return null;
+      if (Array.isArray(points)) return points;
+      return points
+        .split(",")
+        .flatMap((name) => resolvePointGroup(name.trim(), points));
+    }
+
+    /**
+     * Air resistance against a velocity: -coefficient * v (linear) or
+     * -coefficient * |v| * v (quadratic), never strong enough to reverse it
+     * @internal
+     */
+    function airResistance(vel, coefficient, mode) {
+      const speed = Math.hypot(vel.x, vel.y);
+      if (speed === 0) return { x: 0, y: 0 };
+      const slowdown = Math.min(
+        mode === "quadratic" ? coefficient * speed : coefficient,
+        1,
+      );
+      return { x: -vel.x * slowdown, y: -vel.y * slowdown };
+    }
+
+    function checkDragMode(name, mode) {
+      if (!DRAG_MODES.includes(mode)) {
+        throw new Error(
+          `Unknown ${name} mode "${mode}". Use "linear" or "quadratic".`,
+        );
+      }
+    }
+
+    /**
+     * Air or water resistance from each point's velocity, added on top of the gravity already
+     * acting on the points. Fast points slow down more, so falls reach a terminal speed and
+     * the scarf trails naturally, unlike lowering gravity.
+     * @param {number} coefficient - Share of the velocity removed per frame (linear), or per
+     *   px/frame of speed (quadratic)
+     * @param {string} mode - "linear" or "quadratic" (default: "linear")
+     * @param {number} duration - Duration in frames (default: 1)
+     * @param {Object} options - { points = null }
+     *   points: only these points feel it; indices or groups such as "scarf" or "body"
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Underwater for five seconds
+     * applyGravity([0, 3, 0], all, drag(0.08, "linear", 200));
+     *
+     * @example
+     * // Heavy air on the scarf only (scarf points need setScarfGravity(true))
+     * applyGravity([0, 3, 0], all, drag(0.02, "quadratic", 400, { points: "scarf" }));
+     */
+    function drag(coefficient, mode = "linear", duration = 1, options = {}) {
+      const { points = null } = options;
+      checkDragMode("drag", mode);
+      return fieldKeyframes(
+        duration,
+        (keyframeContext) =>
+          airResistance(
+            keyframeContext.contactPointData.vel,
+            coefficient,
+            mode,
+          ),
+        resolvePointFilter(points),
+      );
+    }
+
+    /**
+     * Wind: air moving at a velocity of its own, pushing each point by its speed relative to
+     * the air. A point moving with the wind feels nothing; one moving against it is slowed
+     * more. Gusts vary the wind speed with seeded noise, the same on every playback.
+     * @param {number} direction - Direction the wind blows toward in degrees
+     *   (0 right, 90 down on screen)
+     * @param {number} strength - Wind speed in px/frame
+     * @param {number} gustiness - How much gusts vary the speed, 0 steady to 1 (default: 0)
+     * @param {number} duration - Duration in frames (default: 1)
+     * @param {Object} options - { coefficient = 0.02, mode = "linear", seed = 0, points = null }
+     *   coefficient and mode: how the relative velocity turns into force, as for drag
+     *   seed: seed for the gusts
+     *   points: only these points feel it; indices or groups such as "scarf" or "body"
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Gusty headwind from the right on the scarf for ten seconds
+     * applyGravity([0, 0, 0], all, wind(180, 8, 0.5, 400, { points: "scarf" }));
+     */
+    function wind(
+      direction,
+      strength,
+      gustiness = 0,
+      duration = 1,
+      options = {},
+    ) {
+      const {
+        coefficient = 0.02,
+        mode = "linear",
+        seed = 0,
+        points = null,
+      } = options;
+      checkDragMode("wind", mode);
+      const radians = direction * (Math.PI / 180);
+      const noise = seededPerlin(seed);
+      return fieldKeyframes(
+        duration,
+        (keyframeContext) => {
+          // About one gust a second
+          const gust = noise(
+            keyframeContext.frameIndex / FRAMES_PER_SECOND,
+            0.5,
+            0.5,
+          );
+          const speed = strength * (1 + gustiness * gust);
+          const { vel } = keyframeContext.contactPointData;
+          return airResistance(
+            {
+              x: vel.x - Math.cos(radians) * speed,
+              y: vel.y - Math.sin(radians) * speed,
+            },
+            coefficient,
+            mode,
+          );
+        },
+        resolvePointFilter(points),
+      );
+    }
+
+    const TRIGGER_REPEATS = ["oncePerRider", "once", "rearm"];
+    const TriggerSpecs = new WeakMap(); // arming keyframe fn -> { condition, effect, repeat, delay }
+
+    /**
+     * Builds the generator shared by onEnterZone and onEvent: a single arming keyframe that
+     * hands the trigger to Triggers when the set is applied
+     * @param {string} name - Effect name, used in error messages
+     * @param {Function} condition - (rider, contactPoints, engine) => whether the trigger is active
+     * @param {Function} effect - Keyframe generator to run when the condition becomes true
+     * @param {Object} options - { repeat, delay }
+     * @returns {Function} Keyframe generator function
+     * @internal
+     */
+    function createTrigger(name, condition, effect, options) {
+      const { repeat = "oncePerRider", delay = 0 } = options;
+      if (typeof effect !== "function") {
+        throw new Error(`${name} needs an effect, e.g. teleport(0, -50)`);
+      }
+      if (!TRIGGER_REPEATS.includes(repeat)) {
+        throw new Error(
+          `Unknown repeat "${repeat}". Expected: ${TRIGGER_REPEATS.join(", ")}`,
+        );
+      }
+      if (!Number.isInteger(delay) || delay < 0) {
+        throw new Error(`${name} delay must be a non-negative whole number`);
+      }
+
+      return (t, cp) => {
+        // Arms the trigger; it sets no gravity of its own
+        const arm = restoreGravity();
+        TriggerSpecs.set(arm, { condition, effect, repeat, delay });
+        return [[t, cp, arm]];
+      };
+    }
+
+    /**
+     * Runs an effect when a targeted contact point enters a zone instead of at a fixed frame.
+     * The item's timestamp is when the trigger is armed; the effect starts on the frame after
+     * a point is first seen inside the zone (plus delay) and acts on that rider's targeted points.
+     * @param {Function} zone - Zone from Zones (rect, circle, polygon) or any (pos) => boolean
+     * @param {Function} effect - Keyframe generator to run, e.g. teleport(0, -50)
+     * @param {Object} options - { repeat = "oncePerRider", delay = 0 }
+     *   repeat: "oncePerRider" fires once for each rider, "once" fires for the first rider only,
+     *     "rearm" fires again every time a rider comes back after leaving the zone
+     *   delay: frames between the entry and the start of the effect
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Lock each rider to y = 0 for 40 frames when it reaches the loop
+     * applyGravity([0, 0, 0], all, onEnterZone(Zones.rect(300, -50, 40, 100), lockToAxis(null, 0, 2, 40)));
+     *
+     * @example
+     * // Bounce riders back up every time they fall into the pit
+     * applyGravity([0, 0, 0], all, onEnterZone(Zones.circle(800, 400, 60), teleport(0, -200), { repeat: "rearm" }));
+     */
+    function onEnterZone(zone, effect, options = {}) {
+      if (typeof zone !== "function") {
+        throw new Error(
+          "onEnterZone needs a zone, e.g. Zones.rect(x, y, width, height)",
+        );
+      }
+      return createTrigger(
+        "onEnterZone",
+        (rider, contactPoints) =>
+          contactPoints.some((cp) => zone(rider.points[cp % 17].pos)),
+        effect,
+        options,
+      );
+    }
+
+    /**
+     * Runs an effect when a rider event happens: a crash, a dismount, the sled breaking,
+     * a targeted point touching a line or the rider's speed crossing a threshold.
+     * Works like onEnterZone: the item's timestamp arms the trigger, and the effect starts on
+     * the frame after the event (plus delay) on that rider's targeted points.
+     * @param {Function} event - Event from Events, or any (rider, contactPoints, engine) => boolean;
+     *   the trigger fires when it turns true
+     * @param {Function} effect - Keyframe generator to run, e.g. pulseGravity(0, -1, 10)
+     * @param {Object} options - { repeat = "oncePerRider", delay = 0 }, as for onEnterZone
+     * @returns {Function} Keyframe generator function
+     *
+     * @example
+     * // Float a rider away once it falls off its sled
+     * applyGravity([0, 0, 0], all, onEvent(Events.dismount, setGravity(0, -0.05)));
+     *
+     * @example
+     * // Kick the sled up every time it lands on line 12
+     * applyGravity([0, 0, 0], "*:sled", onEvent(Events.lineContact({ lines: [12] }), pulseGravity(0, -2, 2), { repeat: "rearm" }));
+     */
+    function onEvent(event, effect, options = {}) {
+      if (typeof event !== "function") {
+        throw new Error("onEvent needs an event, e.g. Events.dismount");
+      }
+      return createTrigger("onEvent", event, effect, options);
+    }
+
+    /**
+     * Interval functions for spacing keyframe application across contact point groups
+     */
+    const Intervals = {
+      /**
+       * Apply to all groups simultaneously (no offset)
+       * @returns {number} Always returns 0
+       */
+      simultaneous: () => 0,
+
+      /**
+       * Stagger application by fixed frame intervals
+       * @param {number} frames - Number of frames between each group
+       * @returns {Function} Function that returns frame offset for group index
+       */
+      stagger: (frames) => (i) => i * frames,
+
+      /**
+       * Apply with exponential spacing
+       * @param {number} base - Base for exponential growth
+       * @param {number} scale - Scaling factor (default: 1)
+       * @returns {Function} Function that returns frame offset for group index
+       */
+      exponential:
+        (base, scale = 1) =>
+        (i) =>
+          Math.pow(base, i) * scale,
+
+      /**
+       * Apply with sinusoidal spacing
+       * @param {number} period - Period of the sine wave
+       * @param {number} amplitude - Amplitude of the sine wave
+       * @returns {Function} Function that returns frame offset for group index
+       */
+      sine: (period, amplitude) => (i) => Math.sin(i * period) * amplitude,
+    };
+
+    /**
+     * Combines the layers acting on a contact point. The most recently written replace layer
+     * is the base (setGravity writes one that never ends); add and multiply layers are then
+     * applied on top in the order they started.
+     * @internal
+     */
+    function combineLayers(layers, lastDefaultGravity) {
+      let top = null;
+      const blended = [];
+      for (const layer of layers.values()) {
+        if (layer.mode !== "replace") {
+          blended.push(layer);
+        } else if (!top || layer.written > top.written) {
+          top = layer;
+        }
+      }
+      const base = top ? top.value : (lastDefaultGravity ?? DEFAULT_GRAVITY);
+      if (blended.length === 0) {
+        return { gravity: base, source: top ? top.itemIndex : null };
+      }
+
+      blended.sort((a, b) => a.started - b.started);
+      const gravity = { x: base.x, y: base.y };
+      for (const { mode, value } of blended) {
+        if (mode === "add") {
+          gravity.x += value.x;
+          gravity.y += value.y;
+        } else {
+          gravity.x *= value.x;
+          gravity.y *= value.y;
+        }
+      }
+      return { gravity, source: blended[blended.length - 1].itemIndex };
+    }
+
+    function getGravityForContactPoint({
+      keyframes,
+      frameIndex,
+      globalCpIndex,
+      context,
+    }) {
+      // Initialize gravity state cache per contact point
+      if (!window.__gravityStateCache) {
+        window.__gravityStateCache = {};
+      }
+
+      const stateCache = window.__gravityStateCache;
+      if (!stateCache[globalCpIndex]) {
+        stateCache[globalCpIndex] = {
+          lastProcessedFrame: -1,
+          lastGravity: undefined,
+          lastDefaultGravity: null,
+          lastSource: null,
+          nextKeyframeIndex: 0,
+          layers: new Map(),
+          writes: 0,
+        };
+      }
+
+      const cpState = stateCache[globalCpIndex];
+
+      // Use indexed keyframes for this specific contact point (fast lookup)
+      const contactPointKeyframes =
+        window.__keyframesByContactPoint?.[globalCpIndex] || [];
+
+      // Detect timeline scrubbing/rewinding - reset cache if we went backwards
+      if (frameIndex < cpState.lastProcessedFrame) {
+        cpState.lastProcessedFrame = -1;
+        cpState.lastGravity = undefined;
+        cpState.lastDefaultGravity = null;
+        cpState.lastSource = null;
+        cpState.nextKeyframeIndex = 0;
+        cpState.layers.clear();
+        cpState.writes = 0;
+      }
+
+      // Only process new keyframes since last frame
+      let found = cpState.lastGravity !== undefined;
+      let lastGravity = cpState.lastGravity;
+      let lastDefaultGravity = cpState.lastDefaultGravity;
+      let lastSource = cpState.lastSource;
+      // Every item acting on this point owns one layer, keyed by item index
+      const layers = cpState.layers;
+
+      // Start from where we left off, not from the beginning
+      for (
+        let i = cpState.nextKeyframeIndex;
+        i < contactPointKeyframes.length;
+        i++
+      ) {
+        const [timestamp, gravityFn, itemIndex] = contactPointKeyframes[i];
+        const frame = Array.isArray(timestamp)
+          ? timestampToFrames(timestamp)
+          : timestamp;
+
+        if (frame > frameIndex) {
+          // Haven't reached this keyframe yet, stop here
+          cpState.nextKeyframeIndex = i;
+          break;
+        }
+
+        const gravity = gravityFn({
           ...context,
           frameIndex,
           globalCpIndex,
@@ -1125,208 +3311,1907 @@
           lastDefaultGravity,
         });
 
-        // Track the last default gravity for temporary effects to fall back to
-        if (lastGravity && lastGravity.__default) {
-          lastDefaultGravity = { x: lastGravity.x, y: lastGravity.y };
-        }
+        // Guard: check if gravity has null values
+        if (!gravity || gravity.x == null || gravity.y == null) {
+          console.error("Gravity function produced null value:");
+          console.error("  Frame:", frameIndex);
+          console.error("  Contact Point Index:", globalCpIndex);
+          console.error("  Timestamp:", timestamp);
+          console.error("  Result:", gravity);
+          console.error("  Gravity Function:", gravityFn);
+        }
+
+        if (gravity?.__release) {
+          // The effect ended: whatever it covered takes over again
+          layers.delete(itemIndex);
+        } else if (gravity) {
+          // Track the last default gravity for temporary effects to fall back to
+          if (gravity.__default) {
+            lastDefaultGravity = { x: gravity.x, y: gravity.y };
+          }
+          const written = ++cpState.writes;
+          const layer = layers.get(itemIndex);
+          layers.set(itemIndex, {
+            itemIndex,
+            value: gravity,
+            mode: (!gravity.__default && gravity.__blend) || "replace",
+            started: layer ? layer.started : written,
+            written,
+          });
+        }
+        ({ gravity: lastGravity, source: lastSource } = combineLayers(
+          layers,
+          lastDefaultGravity,
+        ));
+
+        found = true;
+
+        // If this is the last keyframe or we've reached the end, mark it
+        if (i === contactPointKeyframes.length - 1) {
+          cpState.nextKeyframeIndex = i + 1;
+        }
+      }
+
+      // Update cache for next frame
+      cpState.lastProcessedFrame = frameIndex;
+      cpState.lastGravity = lastGravity;
+      cpState.lastDefaultGravity = lastDefaultGravity;
+      cpState.lastSource = lastSource;
+
+      if (!found) {
+        throw new Error(
+          'No gravity keyframe found. Please begin your gravity keyframes with "setGravityKeyframes" that targets all contact points.',
+        );
+      }
+      return found ? lastGravity : DEFAULT_GRAVITY;
+    }
+
+    /**
+     * Drops computed frames; the engine re-simulates them when they are next played or shown
+     * @param {number} fromFrame - First frame to drop (the start frame is always kept)
+     * @internal
+     */
+    function dropComputedFrames(fromFrame) {
+      const followerFrames =
+        window.store.getState().camera.playbackFollower._frames;
+      const computedFrames =
+        window.store.getState().simulator.engine.engine._computed._frames;
+      followerFrames.length = Math.min(followerFrames.length, fromFrame);
+      computedFrames.length = Math.max(
+        1,
+        Math.min(computedFrames.length, fromFrame),
+      );
+    }
+
+    /**
+     * Re-simulates the whole track and redraws the current frame
+     * @internal
+     */
+    function resetSimulation() {
+      dropComputedFrames(0);
+      const currentIndex = store.getState().player.index;
+      store.dispatch({ type: "SET_PLAYER_INDEX", payload: 0 });
+      requestAnimationFrame(() =>
+        store.dispatch({ type: "SET_PLAYER_INDEX", payload: currentIndex }),
+      );
+    }
+
+    function isValidTimestamp(ts) {
+      return (
+        Array.isArray(ts) || typeof ts === "number" || typeof ts === "string"
+      );
+    }
+
+    // Frame each keyframe item starts on, with string timestamps resolved
+    const ItemFrames = new WeakMap();
+
+    /**
+     * Normalizes keyframe items and generates their keyframes. Items that fail to build are
+     * reported as problems instead of throwing, so every broken item is listed at once.
+     * @param {Array} items - Items as passed to setGravityKeyframes
+     * @returns {Object} { keyframeItems, processedKeyframes, ranges, problems }
+     * @internal
+     */
+    function buildKeyframeSet(items) {
+      const keyframeItems = [];
+      const processedKeyframes = [];
+      const problems = [];
+      // Relative times ("+40") count from the previous item
+      let previousFrame = 0;
+
+      items.forEach((rawItem, index) => {
+        try {
+          const item = isDeclarativeItem(rawItem)
+            ? fromDeclarativeItem(rawItem)
+            : rawItem;
+          if (Array.isArray(item) && isValidTimestamp(item[0])) {
+            // RiderSelections are stored resolved; target strings keep their group semantics
+            const target =
+              item[1] && item[1]._isRiderSelection
+                ? item[1].toContactPoints()
+                : item[1];
+            const frame = resolveTimestamp(item[0], previousFrame);
+            previousFrame = frame;
+            // The item keeps its timestamp as written, so a saved "flag + 20" follows the flag;
+            // "player + 20" is fixed to its frame, the playhead is not saved
+            const at = isUnsavedTimestamp(item[0]) ? frame : item[0];
+            const keyframeItem = [at, target, item[2], item[3]];
+            keyframeItems.push(keyframeItem);
+            ItemFrames.set(keyframeItem, frame);
+            if (rawItem.enabled === false || DisabledItems.has(rawItem)) {
+              DisabledItems.add(keyframeItem);
+              processedKeyframes.push([]);
+              return;
+            }
+            const contactPoints = resolveTarget(target);
+
+            processedKeyframes.push(
+              applyGravity(
+                [0, 0, frame],
+                contactPoints,
+                item[2],
+                item[3] || Intervals.simultaneous,
+              ),
+            );
+            return;
+          }
+
+          keyframeItems.push(item);
+          processedKeyframes.push(DisabledItems.has(item) ? [] : item);
+        } catch (error) {
+          problems.push({
+            itemIndex: index,
+            severity: "error",
+            message: error.message,
+          });
+          keyframeItems.push(rawItem);
+          processedKeyframes.push([]);
+        }
+      });
+
+      const ranges = keyframeItems.flatMap((item, index) =>
+        summarizeKeyframeItem(item, index, processedKeyframes[index]),
+      );
+      return { keyframeItems, processedKeyframes, ranges, problems };
+    }
+
+    /**
+     * Sets gravity keyframes for the simulation. The whole set is linted first (see
+     * lintGravityKeyframes); errors are thrown together, warnings are logged.
+     * @param {Array} items - Array of keyframe items, either [timestamp, target, keyframeFn, intervalFn?]
+     *   or declarative objects { effect, args, at, target, interval? }. Targets may be contact point
+     *   arrays, RiderSelections or target strings such as "hero:sled" (see resolveTarget).
+     *   Timestamps may be [minutes, seconds, frames], frames or strings such as "1:02.15",
+     *   "flag + 20" or "+40" (see resolveTimestamp)
+     */
+    function setGravityKeyframes(items) {
+      const keyframeSet = buildKeyframeSet(items);
+      const { keyframeItems, processedKeyframes, ranges } = keyframeSet;
+      reportKeyframeProblems([
+        ...keyframeSet.problems,
+        ...lintKeyframeSet(keyframeSet),
+      ]);
+
+      resetSimulation();
+
+      window.allGravityKeyframes = processedKeyframes
+        .flat()
+        .sort((a, b) => a[0] - b[0]);
+
+      // Remember which item produced each keyframe so results can be traced to their effect
+      const itemIndexByKeyframe = new Map();
+      processedKeyframes.forEach((keyframes, itemIndex) => {
+        if (!Array.isArray(keyframes)) return;
+        keyframes.forEach((kf) => itemIndexByKeyframe.set(kf, itemIndex));
+      });
+
+      // Build indexed map of keyframes by contact point for fast lookup
+      window.__keyframesByContactPoint = {};
+      for (const keyframe of window.allGravityKeyframes) {
+        const [timestamp, cps, gravityFn] = keyframe;
+        for (const cpIndex of cps) {
+          if (!window.__keyframesByContactPoint[cpIndex]) {
+            window.__keyframesByContactPoint[cpIndex] = [];
+          }
+          window.__keyframesByContactPoint[cpIndex].push([
+            timestamp,
+            gravityFn,
+            itemIndexByKeyframe.get(keyframe),
+          ]);
+        }
+      }
+
+      Triggers.arm(processedKeyframes);
+
+      // Reset gravity state and frame caches when keyframes change
+      window.__gravityStateCache = {};
+      window.__gravityFrameCache = null;
+      window.__gravityDebugHistory = new Map();
+      ReadTracker.reset();
+
+      window.__gravityKeyframeItems = keyframeItems;
+      window.__gravityKeyframeRanges = ranges;
+      saveKeyframesToTrack(keyframeItems);
+
+      triggerSubscriberHack();
+      KeyframeTimeline.refresh();
+      KeyframePanel.refresh();
+    }
+
+    /**
+     * Drops the active keyframe set and hands gravity back to the engine
+     * @internal
+     */
+    function clearGravityKeyframes() {
+      if (engineGravityDescriptor) {
+        Object.defineProperty(
+          window.$ENGINE_PARAMS,
+          "gravity",
+          engineGravityDescriptor,
+        );
+      }
+      window.allGravityKeyframes = [];
+      window.__keyframesByContactPoint = {};
+      Triggers.arm([]);
+      window.__gravityStateCache = {};
+      window.__gravityFrameCache = null;
+      window.__gravityDebugHistory = new Map();
+      ReadTracker.reset();
+      window.__gravityKeyframeItems = null;
+      window.__gravityKeyframeRanges = [];
+
+      resetSimulation();
+      KeyframeTimeline.refresh();
+      KeyframePanel.refresh();
+    }
+
+    /**
+     * Checks a keyframe set without applying it
+     * @param {Array} items - Items as passed to setGravityKeyframes
+     * @returns {Array} Problems { itemIndex, severity: "error" | "warning", message };
+     *   itemIndex is null for problems not caused by a single item
+     */
+    function lintGravityKeyframes(items) {
+      const keyframeSet = buildKeyframeSet(items);
+      return [...keyframeSet.problems, ...lintKeyframeSet(keyframeSet)];
+    }
+
+    function reportKeyframeProblems(problems) {
+      const format = ({ itemIndex, message }) =>
+        itemIndex === null ? `  ${message}` : `  Item ${itemIndex}: ${message}`;
+      const errors = problems.filter((p) => p.severity === "error");
+      const warnings = problems.filter((p) => p.severity === "warning");
+
+      if (warnings.length > 0) {
+        console.warn(
+          `Gravity keyframe warnings:\n${warnings.map(format).join("\n")}`,
+        );
+      }
+      if (errors.length > 0) {
+        const error = new Error(
+          `Gravity keyframes have ${errors.length} error(s):\n${errors.map(format).join("\n")}`,
+        );
+        error.problems = problems;
+        throw error;
+      }
+    }
+
+    // One-shot effects finish within two frames of their start: teleport and adjustRider act
+    // on t, cancel the jump's velocity on t + 1 and release on t + 2; a one-frame pulse
+    // releases on t + 2 as well
+    const INSTANT_EFFECT_FRAMES = 2;
+
+    /**
+     * Ranges outlasting a one-shot effect hold a point for a while (lockToAxis, snapTo,
+     * longer pulses); the others are instant (teleport, setGravity)
+     */
+    function isContinuousRange(range) {
+      return range.end - range.start > INSTANT_EFFECT_FRAMES;
+    }
+
+    /**
+     * Formats global contact point indices as e.g. "rider 0 points 0-3, 8"
+     * @internal
+     */
+    function describeContactPoints(cps) {
+      const byRider = new Map();
+      for (const cp of [...cps].sort((a, b) => a - b)) {
+        const riderIndex = Math.floor(cp / 17);
+        if (!byRider.has(riderIndex)) byRider.set(riderIndex, []);
+        byRider.get(riderIndex).push(cp % 17);
+      }
+      return [...byRider]
+        .map(([riderIndex, points]) => {
+          const runs = [];
+          for (const point of points) {
+            const run = runs[runs.length - 1];
+            if (run && point === run[1] + 1) run[1] = point;
+            else runs.push([point, point]);
+          }
+          const list = runs
+            .map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`))
+            .join(", ");
+          return `rider ${riderIndex} points ${list}`;
+        })
+        .join("; ");
+    }
+
+    /**
+     * Lints built keyframes: frames, contact point ranges, keyframe shapes,
+     * initial setGravity per point and overlapping continuous effects.
+     * Only the keyframe data is checked; keyframe functions first run in the simulation,
+     * where null results are reported by getGravityForContactPoint.
+     * @internal
+     */
+    function lintKeyframeSet({ keyframeItems, processedKeyframes, ranges }) {
+      const problems = [];
+      const error = (itemIndex, message) =>
+        problems.push({ itemIndex, severity: "error", message });
+      const warning = (itemIndex, message) =>
+        problems.push({ itemIndex, severity: "warning", message });
+
+      const numRiders =
+        window.store?.getState().simulator.engine.engine.state.riders?.length;
+      const firstKeyframes = new Map(); // cp -> { frame, itemIndex, isDefault }
+
+      processedKeyframes.forEach((keyframes, itemIndex) => {
+        if (!Array.isArray(keyframes)) return;
+        let badFrame = null;
+        let badEffect = null;
+        const outOfRange = new Set();
+
+        for (const keyframe of keyframes) {
+          if (!Array.isArray(keyframe) || !Array.isArray(keyframe[1])) continue;
+          const [timestamp, cps, gravityFn] = keyframe;
+          const frame = toFrameIndex(timestamp);
+          if (!Number.isInteger(frame) || frame < 0) {
+            badFrame ??= frame;
+            continue;
+          }
+
+          for (const cp of cps) {
+            if (
+              !Number.isInteger(cp) ||
+              cp < 0 ||
+              (numRiders !== undefined && cp >= numRiders * 17)
+            ) {
+              outOfRange.add(cp);
+            }
+          }
+
+          if (typeof gravityFn !== "function") {
+            badEffect ??= `${typeof gravityFn} at frame ${frame}`;
+            continue;
+          }
+          // Releasing (e.g. arming a trigger) sets no gravity of its own
+          if (ReleaseFns.has(gravityFn)) continue;
+
+          const isDefault = DefaultGravityFns.has(gravityFn);
+          for (const cp of cps) {
+            const first = firstKeyframes.get(cp);
+            if (!first || frame < first.frame) {
+              firstKeyframes.set(cp, { frame, itemIndex, isDefault });
+            } else if (frame === first.frame && isDefault) {
+              // Keyframes on the same frame all apply, whatever their order in the list
+              first.isDefault = true;
+            }
+          }
+        }
+
+        if (badFrame !== null) {
+          error(
+            itemIndex,
+            `keyframe frame ${badFrame} is not a non-negative whole number`,
+          );
+        }
+        if (outOfRange.size > 0) {
+          error(
+            itemIndex,
+            `contact points ${[...outOfRange].join(", ")} are outside the ${numRiders} rider(s) in the scene (0-${numRiders * 17 - 1})`,
+          );
+        }
+        if (badEffect) {
+          error(
+            itemIndex,
+            `keyframe effect is a ${badEffect} instead of a gravity function`,
+          );
+        }
+      });
+
+      // Every simulated point needs a setGravity at or before the first frame
+      if (numRiders !== undefined) {
+        const uncovered = [];
+        const lateByItem = new Map();
+        for (let riderIndex = 0; riderIndex < numRiders; riderIndex++) {
+          for (const point of PointGroups.ALL) {
+            const cp = riderIndex * 17 + point;
+            const first = firstKeyframes.get(cp);
+            const isScarf = point >= ContactPoints.SCARF_0;
+            // Scarf points keep default gravity unless opted in and targeted
+            if (isScarf && !Settings.scarfGravity) continue;
+            if (!first) {
+              if (!isScarf) uncovered.push(cp);
+            } else if (!first.isDefault || first.frame > 1) {
+              if (!lateByItem.has(first.itemIndex)) {
+                lateByItem.set(first.itemIndex, []);
+              }
+              lateByItem.get(first.itemIndex).push(cp);
+            }
+          }
+        }
+        if (uncovered.length > 0) {
+          error(
+            null,
+            `${describeContactPoints(uncovered)} have no keyframes; start with setGravity targeting every rider`,
+          );
+        }
+        for (const [itemIndex, cps] of lateByItem) {
+          error(
+            itemIndex,
+            `${describeContactPoints(cps)} are used before any initial setGravity (needed at frame 0)`,
+          );
+        }
+      }
+
+      // Overlapping continuous effects fight over the same point unless one is blended on top
+      const continuous = ranges.filter(
+        (range) => isContinuousRange(range) && range.blend === "replace",
+      );
+      for (let i = 0; i < continuous.length; i++) {
+        for (let j = i + 1; j < continuous.length; j++) {
+          const a = continuous[i];
+          const b = continuous[j];
+          if (
+            a.itemIndex === b.itemIndex ||
+            a.riderIndex !== b.riderIndex ||
+            a.start >= b.end ||
+            b.start >= a.end
+          ) {
+            continue;
+          }
+          const shared = [...a.contactPoints].filter((cp) =>
+            b.contactPoints.has(cp),
+          );
+          if (shared.length === 0) continue;
+          warning(
+            b.itemIndex,
+            `${b.effect} overlaps item ${a.itemIndex} (${a.effect}) on ${describeContactPoints(shared)} during frames ${Math.max(a.start, b.start)}-${Math.min(a.end, b.end)}`,
+          );
+        }
+      }
+
+      return problems;
+    }
+
+    /**
+     * Describes when and where an item acts: one range per targeted rider
+     * @param {Array} item - Keyframe item as recorded by setGravityKeyframes
+     * @param {number} itemIndex - Position of the item in the keyframe list
+     * @param {Array} keyframes - Keyframes generated for the item
+     * @returns {Array} Ranges { itemIndex, effect, blend, target, riderIndex, contactPoints, start, end }
+     */
+    function summarizeKeyframeItem(item, itemIndex, keyframes) {
+      if (
+        !Array.isArray(keyframes) ||
+        !keyframes.every((kf) => Array.isArray(kf) && Array.isArray(kf[1]))
+      ) {
+        return [];
+      }
+
+      const { effect, blend } = Array.isArray(item)
+        ? describeEffect(item[2])
+        : { effect: "custom", blend: "replace" };
+      const target =
+        Array.isArray(item) && typeof item[1] === "string"
+          ? item[1]
+          : "custom points";
+
+      const byRider = new Map();
+      for (const [timestamp, cps] of keyframes) {
+        const frame = toFrameIndex(timestamp);
+        for (const cp of cps) {
+          const riderIndex = Math.floor(cp / 17);
+          if (!byRider.has(riderIndex)) {
+            byRider.set(riderIndex, {
+              itemIndex,
+              effect,
+              blend,
+              target,
+              riderIndex,
+              contactPoints: new Set(),
+              start: frame,
+              end: frame,
+            });
+          }
+          const range = byRider.get(riderIndex);
+          range.contactPoints.add(cp);
+          range.start = Math.min(range.start, frame);
+          range.end = Math.max(range.end, frame);
+        }
+      }
+      return [...byRider.values()];
+    }
+
+    /**
+     * Opts scarf contact points (10-16) in or out of gravity keyframes.
+     * Off by default so existing tracks keep their look; the choice is saved with the track.
+     * @param {boolean} enabled - Whether scarf points follow their keyframes
+     */
+    function setScarfGravity(enabled = true) {
+      Settings.scarfGravity = Boolean(enabled);
+      // Re-simulate with the current keyframes (and save the setting)
+      if (window.__gravityKeyframeItems) {
+        setGravityKeyframes(window.__gravityKeyframeItems);
+      }
+    }
+
+    /**
+     * Works out which contact point a gravity read belongs to and keeps the numbering in step
+     * with the engine.
+     *
+     * The engine reads $ENGINE_PARAMS.gravity once per contact point, rider by rider, while it
+     * computes a frame, and it computes whole frames synchronously. The getter is not told which
+     * point it is read for and the engine exposes no per-point step to hook, so points are still
+     * told apart by read order. The numbering is guarded instead:
+     * - reads are numbered from zero for each frame, never with a global counter;
+     * - reads in a task of their own where the engine finishes no frame (devtools, other mods)
+     *   are stray: they are given back and counted;
+     * - reads past riders × 17 in one frame are surplus and get default gravity instead of
+     *   wrapping round to the first rider;
+     * - after each frame the read count is compared with riders × 17. On a mismatch the frame
+     *   and the frames after it are dropped, so the engine re-simulates them with fresh numbering
+     *   when they are next played (the player is left where it is). A frame that still
+     *   mismatches after that (the engine itself reads differently) is reported and kept.
+     * A stray read in the same task as an engine frame still shifts the rest of that frame until
+     * it is re-simulated.
+     * @internal
+     */
+    const ReadTracker = (() => {
+      const MAX_REPORTED_FRAMES = 50;
+      const diagnostics = { strayReads: 0, driftFrames: [] };
+      const resimulatedFrames = new Set();
+
+      /**
+       * @returns {number} Read slot in the current frame, or -1 for a surplus read
+       */
+      function nextSlot(cache) {
+        if (!cache.burstOpen) {
+          cache.burstOpen = true;
+          cache.burstReads = 0;
+          queueMicrotask(() => closeBurst(cache));
+        }
+        cache.burstReads++;
+        const slot = cache.readCount++;
+        return slot < cache.riders.length * 17 ? slot : -1;
+      }
+
+      function closeBurst(cache) {
+        cache.burstOpen = false;
+        const engine = cache.engine;
+        if (!engine || window.__gravityFrameCache !== cache) return;
+
+        if (engine._computed._frames.length === cache.frameIndex) {
+          // The frame being read was never finished: nothing in this task was the engine
+          if (diagnostics.strayReads === 0) {
+            console.warn(
+              `Gravity API: ignoring reads of $ENGINE_PARAMS.gravity from outside the simulation (first at frame ${cache.frameIndex}). See GravityAPI.getGravityDiagnostics().`,
+            );
+          }
+          diagnostics.strayReads += cache.burstReads;
+          cache.readCount -= cache.burstReads;
+        } else {
+          checkFrame(cache);
+        }
+        cache.burstReads = 0;
+      }
+
+      function checkFrame(cache) {
+        if (cache.readCount === 0 || !cache.riders) return;
+        const frame = cache.frameIndex;
+        const reads = cache.readCount;
+        const expected = cache.riders.length * 17;
+        // Only check each frame once
+        cache.readCount = 0;
+        if (reads === expected) return;
+
+        const resimulate = !resimulatedFrames.has(frame);
+        diagnostics.driftFrames.push({ frame, reads, expected, resimulate });
+        if (diagnostics.driftFrames.length > MAX_REPORTED_FRAMES) {
+          diagnostics.driftFrames.shift();
+        }
+        if (!resimulate) {
+          console.warn(
+            `Gravity API: frame ${frame} read gravity ${reads} times, expected ${expected}, again after re-simulating; effects on that frame may be on the wrong contact points`,
+          );
+          return;
+        }
+        resimulatedFrames.add(frame);
+        // The engine may be mid-way through computing later frames: wait until it returns
+        queueMicrotask(() => resimulateFrom(frame));
+      }
+
+      function resimulateFrom(frame) {
+        // Every point replays its keyframes up to the dropped frame, as when scrubbing back
+        window.__gravityStateCache = {};
+        window.__gravityFrameCache = null;
+        dropComputedFrames(frame);
+      }
+
+      function reset() {
+        diagnostics.strayReads = 0;
+        diagnostics.driftFrames.length = 0;
+        resimulatedFrames.clear();
+      }
+
+      /**
+       * @returns {Object} { strayReads, driftFrames: [{ frame, reads, expected, resimulate }] }
+       *   since keyframes were last set; resimulate is false for frames that drifted again
+       */
+      function getDiagnostics() {
+        return {
+          strayReads: diagnostics.strayReads,
+          driftFrames: diagnostics.driftFrames.map((d) => ({ ...d })),
+        };
+      }
+
+      return { nextSlot, checkFrame, reset, getDiagnostics };
+    })();
+
+    /**
+     * Fires onEnterZone and onEvent triggers while the simulation runs. setGravityKeyframes
+     * hands over the arming keyframes; every new frame each trigger's condition is tested on
+     * the last computed frame, rider by rider, and when it turns true the effect's keyframes are
+     * scheduled into __keyframesByContactPoint from the current frame on. Condition changes are
+     * logged with their frame, so when the engine re-simulates from an earlier frame everything
+     * recorded from that frame on is dropped and found again.
+     * @internal
+     */
+    const Triggers = (() => {
+      let triggers = [];
+      let lastFrame = -1;
+
+      function arm(processedKeyframes) {
+        triggers = [];
+        lastFrame = -1;
+        processedKeyframes.forEach((keyframes, itemIndex) => {
+          if (!Array.isArray(keyframes)) return;
+          for (const [timestamp, cps, gravityFn] of keyframes) {
+            const spec = TriggerSpecs.get(gravityFn);
+            if (!spec) continue;
+            // Riders enter, leave and re-arm independently
+            const riders = new Map();
+            for (const cp of cps) {
+              const riderIndex = Math.floor(cp / 17);
+              if (!riders.has(riderIndex)) riders.set(riderIndex, []);
+              riders.get(riderIndex).push(cp);
+            }
+            triggers.push({
+              ...spec,
+              itemIndex,
+              armedAt: toFrameIndex(timestamp),
+              riders,
+              events: [],
+            });
+          }
+        });
+      }
+
+      function isActive(trigger, riderIndex) {
+        for (let i = trigger.events.length - 1; i >= 0; i--) {
+          if (trigger.events[i].riderIndex === riderIndex) {
+            return trigger.events[i].active;
+          }
+        }
+        return false;
+      }
+
+      function canFire(trigger, riderIndex) {
+        if (trigger.repeat === "rearm") return true;
+        return !triggers.some(
+          (other) =>
+            other.itemIndex === trigger.itemIndex &&
+            other.events.some(
+              (event) =>
+                event.fired &&
+                (trigger.repeat === "once" || event.riderIndex === riderIndex),
+            ),
+        );
+      }
+
+      function schedule(trigger, frameIndex, cps) {
+        const keyframes = trigger.effect(frameIndex + trigger.delay, cps);
+        for (const [timestamp, keyframeCps, gravityFn] of keyframes) {
+          const frame = toFrameIndex(timestamp);
+          for (const cp of keyframeCps) {
+            const list = (window.__keyframesByContactPoint[cp] ??= []);
+            // After every keyframe at or before its frame, so it runs on time and in order
+            let i = list.length;
+            while (i > 0 && toFrameIndex(list[i - 1][0]) > frame) i--;
+            list.splice(i, 0, [
+              frame,
+              gravityFn,
+              trigger.itemIndex,
+              frameIndex,
+            ]);
+          }
+        }
+      }
+
+      function rollback(frameIndex) {
+        for (const trigger of triggers) {
+          trigger.events = trigger.events.filter((e) => e.frame < frameIndex);
+        }
+        const keyframesByContactPoint = window.__keyframesByContactPoint || {};
+        for (const [cp, list] of Object.entries(keyframesByContactPoint)) {
+          const kept = list.filter((kf) => !(kf[3] >= frameIndex));
+          if (kept.length === list.length) continue;
+          keyframesByContactPoint[cp] = kept;
+          // Replay this point from the start so no removed keyframe stays applied
+          delete window.__gravityStateCache?.[cp];
+        }
+      }
+
+      /**
+       * Checks every armed trigger against the last computed frame
+       * @param {number} frameIndex - Frame about to be computed
+       * @param {Array} riderEntities - Rider states of frame frameIndex - 1
+       * @param {Object} engine - Simulation engine, for conditions that look at the track
+       */
+      function update(frameIndex, riderEntities, engine) {
+        if (triggers.length === 0) return;
+        if (frameIndex <= lastFrame) rollback(frameIndex);
+        lastFrame = frameIndex;
+
+        for (const trigger of triggers) {
+          if (frameIndex - 1 < trigger.armedAt) continue;
+          for (const [riderIndex, cps] of trigger.riders) {
+            const rider = riderEntities[riderIndex];
+            if (!rider?.points) continue;
+            const active = Boolean(trigger.condition(rider, cps, engine));
+            if (active === isActive(trigger, riderIndex)) continue;
+
+            const fired = active && canFire(trigger, riderIndex);
+            trigger.events.push({
+              frame: frameIndex,
+              riderIndex,
+              active,
+              fired,
+            });
+            if (fired) schedule(trigger, frameIndex, cps);
+          }
+        }
+      }
+
+      return { arm, update };
+    })();
+
+    // The engine's own gravity property, put back when the keyframes are cleared
+    let engineGravityDescriptor = null;
+
+    /**
+     * Triggers the gravity system by hooking into the engine's gravity property
+     * @internal
+     */
+    function triggerSubscriberHack() {
+      engineGravityDescriptor ??= Object.getOwnPropertyDescriptor(
+        window.$ENGINE_PARAMS,
+        "gravity",
+      );
+      Object.defineProperty(window.$ENGINE_PARAMS, "gravity", {
+        get() {
+          // Initialize frame cache on first access
+          if (!window.__gravityFrameCache) {
+            window.__gravityFrameCache = {
+              frameIndex: -1,
+              engine: null,
+              riders: null,
+              frameData: null,
+              previousFrameData: null,
+              gravityResults: {},
+              riderEntities: null,
+              previousRiderEntities: null,
+              readCount: 0,
+              burstReads: 0,
+              burstOpen: false,
+            };
+          }
+
+          const cache = window.__gravityFrameCache;
+
+          // Get frame index (first store access - unavoidable)
+          const state = store.getState();
+          const engine = state.simulator.engine.engine;
+          const frameIndex = engine._computed._frames.length;
+
+          // Check if we need to refresh the cache for a new frame
+          if (cache.frameIndex !== frameIndex) {
+            ReadTracker.checkFrame(cache);
+
+            // New frame - reset cache
+            cache.frameIndex = frameIndex;
+            cache.readCount = 0;
+            cache.burstReads = 0;
+            cache.engine = engine;
+            cache.riders = engine.state.riders || [];
+            cache.frameData = engine.getFrame(frameIndex - 1);
+            cache.previousFrameData =
+              frameIndex >= 2 ? engine.getFrame(frameIndex - 2) : null;
+            cache.gravityResults = {}; // Clear gravity results cache
+
+            // Pre-extract deep object paths to avoid repeated traversal
+            cache.riderEntities =
+              cache.frameData?.snapshot?.entities?.[0]?.entities || [];
+            // getFrame returns the frame itself, with the snapshot at its top level
+            cache.previousRiderEntities =
+              cache.previousFrameData?.snapshot?.entities?.[0]?.entities || [];
+            Triggers.update(frameIndex, cache.riderEntities, engine);
+          }
+
+          const numRiders = cache.riders.length;
+          if (numRiders === 0) {
+            return DEFAULT_GRAVITY;
+          }
+
+          // Reads are numbered per frame, so a stray read can never shift later frames
+          const slot = ReadTracker.nextSlot(cache);
+          if (slot === -1) {
+            // Surplus read: this frame is re-simulated once it is checked
+            return DEFAULT_GRAVITY;
+          }
+          const iterationsPerRider = 17;
+          const currentRiderIndex = Math.floor(slot / iterationsPerRider);
+          const currentContactPoint = slot % iterationsPerRider;
+          const globalCpIndex = currentRiderIndex * 17 + currentContactPoint;
+          if (
+            currentContactPoint > 9 &&
+            (!Settings.scarfGravity ||
+              !window.__keyframesByContactPoint?.[globalCpIndex])
+          ) {
+            // Scarf keeps default gravity unless opted in and targeted
+            if (GravityOverlay.isVisible()) {
+              GravityOverlay.record(
+                frameIndex,
+                globalCpIndex,
+                DEFAULT_GRAVITY,
+                null,
+              );
+            }
+            return DEFAULT_GRAVITY;
+          }
+
+          // Check if we already computed gravity for this contact point this frame
+          if (cache.gravityResults[globalCpIndex] !== undefined) {
+            return cache.gravityResults[globalCpIndex];
+          }
+
+          const allKeyframes = window.allGravityKeyframes || [];
+          const riderIndex = Math.floor(globalCpIndex / 17);
+          const contactPoint = globalCpIndex % 17;
+
+          // Use pre-extracted cached entities (eliminates deep traversal)
+          const riderData = cache.riderEntities[riderIndex];
+          const contactPointData = riderData?.points?.[contactPoint];
+          const previousRiderData = cache.previousRiderEntities[riderIndex];
+          const previousContactPointData =
+            previousRiderData?.points?.[contactPoint];
+
+          const result = getGravityForContactPoint({
+            keyframes: allKeyframes,
+            frameIndex,
+            globalCpIndex,
+            context: {
+              contactPoint,
+              riderData,
+              contactPointData,
+              previousFrameData: cache.previousFrameData,
+              previousRiderData,
+              previousContactPointData,
+            },
+          });
+
+          // Cache the result for this contact point
+          cache.gravityResults[globalCpIndex] = result;
+          if (GravityOverlay.isVisible()) {
+            GravityOverlay.record(
+              frameIndex,
+              globalCpIndex,
+              result,
+              window.__gravityStateCache[globalCpIndex].lastSource,
+            );
+          }
+
+          return result;
+        },
+      });
+    }
 
-        // Guard: check if gravity has null values
-        if (lastGravity && (lastGravity.x == null || lastGravity.y == null)) {
-          console.error("Gravity function produced null value:");
-          console.error("  Frame:", frameIndex);
-          console.error("  Contact Point Index:", globalCpIndex);
-          console.error("  Timestamp:", timestamp);
-          console.error("  Result:", lastGravity);
-          console.error("  Gravity Function:", gravityFn);
-        }
+    /**
+     * Keyframes are stored as a comment block in the track script, so they are
+     * saved and shared with the .track.json without ever being executed
+     */
+    const TRACK_SCRIPT_PATTERN =
+      /\/\* gravity-api:keyframes ([\s\S]*?) \*\/\n?/;
+    const KEYFRAME_SAVE_VERSION = 1;
+    let savedPayload = "";
+    let lastTrackScript = null;
+    let trackScriptWarned = false;
+
+    // The track script is read and written through the editor's own Selectors and Actions
+    function hasTrackScript() {
+      if (
+        typeof window.Selectors?.getTrackScript === "function" &&
+        typeof window.Actions?.setTrackScript === "function"
+      ) {
+        return true;
+      }
+      if (!trackScriptWarned) {
+        console.warn(
+          "Gravity API: this Line Rider version has no track script (Selectors.getTrackScript / Actions.setTrackScript); keyframes are not saved with the track",
+        );
+        trackScriptWarned = true;
+      }
+      return false;
+    }
 
-        found = true;
+    function getTrackScript() {
+      return window.Selectors.getTrackScript() ?? "";
+    }
 
-        // If this is the last keyframe or we've reached the end, mark it
-        if (i === contactPointKeyframes.length - 1) {
-          cpState.nextKeyframeIndex = i + 1;
-        }
+    function setTrackScript(script) {
+      window.Actions.setTrackScript(script);
+    }
+
+    // Undoes the "*/" escaping of embedKeyframePayload, so the payload compares equal to what was saved
+    function extractKeyframePayload(script) {
+      const match = TRACK_SCRIPT_PATTERN.exec(script);
+      return match ? match[1].replace(/\*\\\//g, "*/") : "";
+    }
+
+    function embedKeyframePayload(script, payload) {
+      const stripped = script.replace(TRACK_SCRIPT_PATTERN, "");
+      if (!payload) return stripped;
+      // "*/" can only appear inside JSON strings, where "*\/" parses to the same text
+      const escaped = payload.replace(/\*\//g, "*\\/");
+      return `/* gravity-api:keyframes ${escaped} */\n${stripped}`;
+    }
+
+    /**
+     * Describes the current keyframe set as declarative JSON keyframes
+     * @returns {Array} Declarative keyframes, accepted as-is by setGravityKeyframes
+     */
+    function exportGravityKeyframes() {
+      return (window.__gravityKeyframeItems || []).map(toDeclarativeItem);
+    }
+
+    /**
+     * Writes the keyframe set into the track script. Sets containing custom
+     * functions cannot be saved; any previously saved set is removed instead
+     * so a stale choreography is never restored.
+     * @param {Array} items - Keyframe items as passed to setGravityKeyframes
+     * @internal
+     */
+    function saveKeyframesToTrack(items) {
+      if (!hasTrackScript()) return;
+
+      let payload = "";
+      try {
+        payload = JSON.stringify({
+          version: KEYFRAME_SAVE_VERSION,
+          settings: Settings,
+          ...(Object.keys(TrackPoses).length > 0 && { poses: TrackPoses }),
+          items: items.map(toDeclarativeItem),
+        });
+      } catch (error) {
+        console.warn(
+          `Gravity keyframes were not saved with the track: ${error.message}`,
+        );
       }
 
-      // Update cache for next frame
-      cpState.lastProcessedFrame = frameIndex;
-      cpState.lastGravity = lastGravity;
-      cpState.lastDefaultGravity = lastDefaultGravity;
+      savedPayload = payload;
+      const script = getTrackScript();
+      const nextScript = embedKeyframePayload(script, payload);
+      if (nextScript !== script) setTrackScript(nextScript);
+    }
 
-      if (!found) {
+    /**
+     * Restores the keyframe set saved in the current track, if any
+     * @returns {boolean} Whether saved keyframes were found and applied
+     */
+    function restoreKeyframesFromTrack() {
+      if (!hasTrackScript()) return false;
+      const payload = extractKeyframePayload(getTrackScript());
+      savedPayload = payload;
+      if (!payload) return false;
+
+      const { version, settings = {}, poses = {}, items } = JSON.parse(payload);
+      if (version > KEYFRAME_SAVE_VERSION) {
         throw new Error(
-          'No gravity keyframe found. Please begin your gravity keyframes with "setGravityKeyframes" that targets all contact points.',
+          `Track keyframes were saved by a newer Gravity API (format ${version})`,
         );
       }
-      return found ? lastGravity : DEFAULT_GRAVITY;
+      Object.assign(Settings, DEFAULT_SETTINGS);
+      Settings.scarfGravity = settings.scarfGravity ?? false;
+      // Poses first, the items may refer to them
+      clearTrackPoses();
+      for (const [name, pose] of Object.entries(poses)) {
+        if (BUILT_IN_POSES.has(name)) continue;
+        TrackPoses[name] = pose;
+        addPose(name, pose);
+      }
+      setGravityKeyframes(items);
+      return true;
     }
 
     /**
-     * Sets gravity keyframes for the simulation
-     * @param {Array} items - Array of keyframe items in format [timestamp, contactPoints, keyframeFn, intervalFn?]
+     * Forgets the previous track's poses; poses also kept in localStorage stay available
+     * @internal
      */
-    function isValidTimestamp(ts) {
-      return Array.isArray(ts) || typeof ts === "number";
+    function clearTrackPoses() {
+      const stored = readStoredPoses();
+      for (const name of Object.keys(TrackPoses)) {
+        delete TrackPoses[name];
+        if (Object.hasOwn(stored, name)) {
+          addPose(name, stored[name]);
+        } else {
+          delete Poses[name];
+          SerializableRefs.delete(`Poses.${name}`);
+        }
+      }
     }
 
-    function setGravityKeyframes(items) {
-      window.store.getState().camera.playbackFollower._frames.length = 0;
-      window.store.getState().simulator.engine.engine._computed._frames.length = 1;
-      const currentIndex = store.getState().player.index;
-      store.dispatch({ type: "SET_PLAYER_INDEX", payload: 0 });
-      requestAnimationFrame(() =>
-        store.dispatch({ type: "SET_PLAYER_INDEX", payload: currentIndex }),
-      );
+    /**
+     * Follows the track: restores saved keyframes when a track carrying them is loaded,
+     * and clears the previous track's keyframes, poses and settings when one without is
+     * @internal
+     */
+    function syncKeyframesFromTrack() {
+      // Most store changes (playback, camera, tools) leave the track script untouched
+      const script = getTrackScript();
+      if (script === lastTrackScript) return;
+      lastTrackScript = script;
+      const payload = extractKeyframePayload(script);
+      if (payload === savedPayload) return;
+      savedPayload = payload;
+
+      // Defer so the loaded riders are in the engine before re-simulating
+      requestAnimationFrame(() => {
+        try {
+          if (!payload) {
+            clearTrackPoses();
+            Object.assign(Settings, DEFAULT_SETTINGS);
+            clearGravityKeyframes();
+            return;
+          }
+          restoreKeyframesFromTrack();
+        } catch (error) {
+          console.error("Failed to restore gravity keyframes:", error);
+        }
+      });
+    }
+
+    /**
+     * Runs callback once the editor is up (window.store and the custom tools API), the way
+     * the other mods start
+     * @internal
+     */
+    function whenEditorReady(callback) {
+      if (window.registerCustomSetting) {
+        callback();
+      } else {
+        const previousCallback = window.onCustomToolsApiReady;
+        window.onCustomToolsApiReady = () => {
+          if (previousCallback) previousCallback();
+          callback();
+        };
+      }
+    }
 
-      const processedKeyframes = items.map((item) => {
-        if (Array.isArray(item) && isValidTimestamp(item[0])) {
-          let contactPoints = item[1];
+    whenEditorReady(() => {
+      if (!hasTrackScript()) return;
+      window.store.subscribe(syncKeyframesFromTrack);
+      syncKeyframesFromTrack();
+    });
 
-          if (contactPoints && contactPoints._isRiderSelection) {
-            contactPoints = contactPoints.toContactPoints();
+    /**
+     * Debug view drawing, for every contact point at the current player frame, the gravity
+     * that acts on it from that position. Arrows are scaled by `scale` and tinted by the
+     * effect that produced them. Drawn as a Millions scene of its own so it follows the editor
+     * camera without replacing other tools' drawings.
+     */
+    const GravityOverlay = (() => {
+      const SCENE_KEY = "gravityOverlay";
+      // Frames of recorded gravity kept around the player, so long playbacks stay bounded
+      const MAX_HISTORY_FRAMES = 2400;
+      const EffectColors = {
+        default: [200, 200, 200],
+        setGravity: [150, 150, 150],
+        animateGravity: [120, 144, 156],
+        pulseGravity: [255, 152, 0],
+        teleport: [156, 39, 176],
+        setVelocity: [139, 195, 74],
+        addVelocity: [139, 195, 74],
+        setSpeed: [139, 195, 74],
+        rotateVelocity: [139, 195, 74],
+        lockToAxis: [33, 150, 243],
+        snapTo: [0, 150, 136],
+        followPath: [0, 188, 212],
+        onEnterZone: [205, 220, 57],
+        attractTo: [103, 58, 183],
+        repelFrom: [255, 235, 59],
+        nBody: [96, 125, 139],
+        turbulence: [77, 182, 172],
+        vectorField: [63, 81, 181],
+        drag: [141, 110, 99],
+        wind: [129, 212, 250],
+        onEvent: [255, 87, 34],
+        adjustRider: [233, 30, 99],
+        morphPose: [240, 98, 146],
+        spin: [255, 112, 67],
+        scaleRider: [121, 134, 203],
+        custom: [0, 0, 0],
+      };
+      const FALLBACK_COLORS = [
+        [244, 67, 54],
+        [76, 175, 80],
+        [63, 81, 181],
+        [255, 193, 7],
+        [121, 85, 72],
+      ];
+
+      let visible = false;
+      let options = {};
+      let lastPlayerIndex = -1;
+      let unsubscribe = null;
+
+      function effectColor(effect) {
+        if (EffectColors[effect]) return EffectColors[effect];
+        let hash = 0;
+        for (const char of effect) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+        return FALLBACK_COLORS[Math.abs(hash) % FALLBACK_COLORS.length];
+      }
+
+      function effectForItem(itemIndex) {
+        // Points left on the engine's gravity (e.g. scarf points not opted in)
+        if (itemIndex === null) return "default";
+        const item = window.__gravityKeyframeItems?.[itemIndex];
+        return Array.isArray(item) ? describeEffect(item[2]).effect : "custom";
+      }
+
+      function record(frameIndex, globalCpIndex, gravity, itemIndex) {
+        const history = (window.__gravityDebugHistory ??= new Map());
+        if (!history.has(frameIndex)) {
+          history.set(frameIndex, {});
+          if (history.size > MAX_HISTORY_FRAMES) {
+            trimHistory(history, frameIndex);
+          }
+        }
+        history.get(frameIndex)[globalCpIndex] = {
+          x: gravity.x,
+          y: gravity.y,
+          itemIndex,
+        };
+      }
+
+      // Drops the frames furthest from the player, except the one being recorded
+      function trimHistory(history, recordingFrame) {
+        const { index } = window.store.getState().player;
+        for (const frame of history.keys()) {
+          if (
+            frame !== recordingFrame &&
+            Math.abs(frame - index) > MAX_HISTORY_FRAMES / 2
+          ) {
+            history.delete(frame);
           }
+        }
+      }
 
-          const timestamp =
-            typeof item[0] === "number" ? [0, 0, item[0]] : item[0];
+      function arrow(from, vector, color, thickness) {
+        const { Millions } = window;
+        const millionsColor = new Millions.Color(...color, 255);
+        const point = ({ x, y }) => ({
+          x,
+          y,
+          colorA: millionsColor,
+          colorB: millionsColor,
+          thickness,
+        });
+        const tip = { x: from.x + vector.x, y: from.y + vector.y };
+        const length = Math.hypot(vector.x, vector.y);
+        if (length === 0) return [];
+
+        const head = Math.min(length * 0.4, 4 * thickness);
+        const ux = vector.x / length;
+        const uy = vector.y / length;
+        const barbs = [-1, 1].map((side) => ({
+          x: tip.x - head * (ux + side * 0.5 * -uy),
+          y: tip.y - head * (uy + side * 0.5 * ux),
+        }));
+        return [
+          new Millions.Line(point(from), point(tip), 1, 0),
+          ...barbs.map(
+            (barb) => new Millions.Line(point(tip), point(barb), 1, 0),
+          ),
+        ];
+      }
 
-          return applyGravity(
-            timestamp,
-            contactPoints,
-            item[2],
-            item[3] || Intervals.simultaneous,
+      function draw() {
+        const state = window.store.getState();
+        const { index } = state.player;
+        const engine = state.simulator.engine.engine;
+        // Gravity computed for frame index + 1 acts on the positions shown at index
+        const results = window.__gravityDebugHistory?.get(index + 1) || {};
+        const riders =
+          engine.getFrame(index)?.snapshot?.entities?.[0]?.entities || [];
+        const scale = options.scale ?? 20;
+        const thickness = 1 / (state.camera.editorZoom || 1);
+
+        const lines = [];
+        for (const [cp, gravity] of Object.entries(results)) {
+          const pos = riders[Math.floor(cp / 17)]?.points?.[cp % 17]?.pos;
+          if (!pos) continue;
+          const color = effectColor(effectForItem(gravity.itemIndex));
+          lines.push(
+            ...arrow(
+              pos,
+              { x: gravity.x * scale, y: gravity.y * scale },
+              color,
+              thickness,
+            ),
           );
         }
+        window.store.dispatch({
+          type: "SET_RENDERER_SCENE",
+          payload: {
+            key: SCENE_KEY,
+            scene: window.Millions.Scene.fromEntities(lines),
+          },
+        });
+      }
 
-        return item;
-      });
+      function onStoreChange() {
+        const { index } = window.store.getState().player;
+        if (index !== lastPlayerIndex) {
+          lastPlayerIndex = index;
+          draw();
+        }
+      }
 
-      window.allGravityKeyframes = processedKeyframes
-        .flat()
-        .sort((a, b) => a[0] - b[0]);
+      /**
+       * Shows the overlay. Re-simulates so every frame's gravity is recorded.
+       * @param {Object} showOptions - { scale: arrow length per unit of gravity (default: 20) }
+       */
+      function show(showOptions = {}) {
+        options = showOptions;
+        if (!visible) {
+          visible = true;
+          window.__gravityDebugHistory = new Map();
+          unsubscribe = window.store.subscribe(onStoreChange);
+          resetSimulation();
+        }
+        lastPlayerIndex = -1;
+        onStoreChange();
+      }
 
-      // Build indexed map of keyframes by contact point for fast lookup
-      window.__keyframesByContactPoint = {};
-      for (const [timestamp, cps, gravityFn] of window.allGravityKeyframes) {
-        for (const cpIndex of cps) {
-          if (!window.__keyframesByContactPoint[cpIndex]) {
-            window.__keyframesByContactPoint[cpIndex] = [];
+      function hide() {
+        if (!visible) return;
+        visible = false;
+        unsubscribe();
+        unsubscribe = null;
+        window.__gravityDebugHistory = new Map();
+        window.store.dispatch({
+          type: "SET_RENDERER_SCENE",
+          payload: { key: SCENE_KEY, scene: new window.Millions.Scene() },
+        });
+      }
+
+      return {
+        show,
+        hide,
+        record,
+        isVisible: () => visible,
+        EffectColors,
+      };
+    })();
+
+    function framesToTimestamp(frame) {
+      const minutes = Math.floor(frame / (FRAMES_PER_SECOND * 60));
+      const seconds = Math.floor(frame / FRAMES_PER_SECOND) % 60;
+      const frames = frame % FRAMES_PER_SECOND;
+      return `[${minutes}, ${seconds}, ${frames}]`;
+    }
+
+    /**
+     * Marker strip mounted on top of the player timeline, spanning the same frames. Each rider
+     * group gets a lane: effects outlasting a one-shot effect (lockToAxis, snapTo, pulses) are
+     * bars, instant ones (teleport, setGravity, adjustRider) are ticks. Hover for details,
+     * click to jump the player to the marker. Mounted with showKeyframeTimeline({ anchor }),
+     * since the editor gives its timeline no stable selector; shown while a keyframe set is
+     * active, until hidden with hideKeyframeTimeline().
+     */
+    const KeyframeTimeline = (() => {
+      const LANE_HEIGHT = 10;
+      const TICK_WIDTH = 2;
+      const HIT_SLOP = 3;
+
+      let enabled = false;
+      let root = null;
+      let canvas = null;
+      let tooltip = null;
+      let timeline = null;
+      let options = {};
+      let markers = [];
+      let lanes = [];
+      let lastPlayerIndex = -1;
+      let lastMaxIndex = -1;
+      let unsubscribe = null;
+      let resizeObserver = null;
+      let mountObserver = null;
+      let missingWarned = false;
+
+      function groupColor(group) {
+        let hash = 0;
+        for (const char of group) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+        return `hsl(${Math.abs(hash) % 360}, 70%, 50%)`;
+      }
+
+      function riderGroup(riderIndex) {
+        const rider = window.Selectors?.getRiders?.()[riderIndex];
+        const [group] = rider?.groups instanceof Set ? rider.groups : [];
+        return group ?? `rider ${riderIndex}`;
+      }
+
+      function buildMarkers() {
+        markers = (window.__gravityKeyframeRanges || []).map((range) => ({
+          ...range,
+          group: riderGroup(range.riderIndex),
+          isBar: isContinuousRange(range),
+        }));
+        lanes = [...new Set(markers.map((m) => m.group))].sort();
+      }
+
+      function findTimeline() {
+        const { anchor } = options;
+        return typeof anchor === "string"
+          ? document.querySelector(anchor)
+          : anchor;
+      }
+
+      // Re-runs mount() on child changes of target only, so playback DOM updates elsewhere cost nothing
+      function watchForTimeline(target, subtree) {
+        mountObserver?.disconnect();
+        mountObserver = new MutationObserver(mount);
+        mountObserver.observe(target, { childList: true, subtree });
+      }
+
+      // Same span as the player timeline, so markers line up with its playhead
+      function frameToX(frame) {
+        const { maxIndex } = window.store.getState().player;
+        return (frame / Math.max(maxIndex || 0, 1)) * canvas.width;
+      }
+
+      function layout() {
+        canvas.width = timeline.clientWidth;
+        canvas.height = Math.max(lanes.length, 1) * LANE_HEIGHT;
+      }
+
+      function draw() {
+        if (!canvas) return;
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = "rgba(0, 0, 0, 0.08)";
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        for (const marker of markers) {
+          const y = lanes.indexOf(marker.group) * LANE_HEIGHT;
+          const x = frameToX(marker.start);
+          ctx.fillStyle = groupColor(marker.group);
+          if (marker.isBar) {
+            const width = Math.max(frameToX(marker.end) - x, TICK_WIDTH);
+            ctx.fillRect(x, y + 2, width, LANE_HEIGHT - 4);
+          } else {
+            ctx.fillRect(x - TICK_WIDTH / 2, y, TICK_WIDTH, LANE_HEIGHT);
           }
-          window.__keyframesByContactPoint[cpIndex].push([
-            timestamp,
-            gravityFn,
-          ]);
         }
+
+        // Playhead
+        const playerX = frameToX(window.store.getState().player.index);
+        ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+        ctx.fillRect(playerX, 0, 1, canvas.height);
       }
 
-      // Reset gravity state cache when keyframes change
-      window.__gravityStateCache = {};
+      function markerAt(clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        const x = clientX - rect.left;
+        const lane = lanes[Math.floor((clientY - rect.top) / LANE_HEIGHT)];
+        return markers.find((marker) => {
+          if (marker.group !== lane) return false;
+          const start = frameToX(marker.start) - HIT_SLOP;
+          const end = marker.isBar
+            ? frameToX(marker.end) + HIT_SLOP
+            : start + 2 * HIT_SLOP;
+          return x >= start && x <= end;
+        });
+      }
 
-      triggerSubscriberHack();
-    }
+      function onMouseMove(event) {
+        const marker = markerAt(event.clientX, event.clientY);
+        if (!marker) {
+          tooltip.style.display = "none";
+          return;
+        }
+        const frames = marker.isBar
+          ? `${framesToTimestamp(marker.start)} – ${framesToTimestamp(marker.end)}`
+          : framesToTimestamp(marker.start);
+        const blend = marker.blend === "replace" ? "" : ` (${marker.blend})`;
+        tooltip.textContent = `#${marker.itemIndex} ${marker.effect}${blend} → ${marker.target} (${marker.group}) ${frames}`;
+        Object.assign(tooltip.style, {
+          display: "block",
+          left: `${event.clientX + 8}px`,
+          top: `${event.clientY - 24}px`,
+        });
+      }
+
+      function onClick(event) {
+        const marker = markerAt(event.clientX, event.clientY);
+        if (marker) {
+          window.store.dispatch({
+            type: "SET_PLAYER_INDEX",
+            payload: marker.start,
+          });
+        }
+      }
+
+      function onStoreChange() {
+        const { index, maxIndex } = window.store.getState().player;
+        if (index !== lastPlayerIndex || maxIndex !== lastMaxIndex) {
+          lastPlayerIndex = index;
+          lastMaxIndex = maxIndex;
+          draw();
+        }
+      }
+
+      function createStrip() {
+        root = document.createElement("div");
+        // Sits on the timeline's top edge and takes its width
+        Object.assign(root.style, {
+          position: "absolute",
+          left: "0px",
+          right: "0px",
+          bottom: "100%",
+          zIndex: 100,
+        });
+        canvas = document.createElement("canvas");
+        canvas.style.display = "block";
+        canvas.addEventListener("mousemove", onMouseMove);
+        canvas.addEventListener("mouseleave", () => {
+          tooltip.style.display = "none";
+        });
+        canvas.addEventListener("click", onClick);
+        tooltip = document.createElement("div");
+        Object.assign(tooltip.style, {
+          position: "fixed",
+          display: "none",
+          padding: "2px 6px",
+          background: "rgba(0, 0, 0, 0.8)",
+          color: "white",
+          font: "12px sans-serif",
+          pointerEvents: "none",
+          whiteSpace: "nowrap",
+        });
+        root.append(canvas, tooltip);
+      }
+
+      /**
+       * Puts the strip on the anchor. A selector not matching yet is waited for; once mounted,
+       * only the timeline's parent is watched, in case the editor re-creates the timeline.
+       */
+      function mount() {
+        if (root?.isConnected && root.parentElement === timeline) return;
+        timeline = findTimeline();
+        if (!timeline?.isConnected) {
+          if (!missingWarned) {
+            console.warn(
+              `Gravity API: the keyframe timeline anchor${typeof options.anchor === "string" ? ` "${options.anchor}"` : ""} is not on the page; the markers appear once it is`,
+            );
+            missingWarned = true;
+          }
+          timeline = null;
+          if (typeof options.anchor === "string") {
+            watchForTimeline(document.body, true);
+          }
+          return;
+        }
+        if (!root) createStrip();
+        if (getComputedStyle(timeline).position === "static") {
+          timeline.style.position = "relative";
+        }
+        timeline.appendChild(root);
+        if (typeof options.anchor === "string" && timeline.parentElement) {
+          watchForTimeline(timeline.parentElement, false);
+        } else {
+          mountObserver?.disconnect();
+        }
+        resizeObserver?.disconnect();
+        resizeObserver = new ResizeObserver(refresh);
+        resizeObserver.observe(timeline);
+        layout();
+        draw();
+      }
+
+      function refresh() {
+        if (!enabled || !window.__gravityKeyframeRanges?.length) {
+          unmount();
+          return;
+        }
+        if (!unsubscribe) {
+          unsubscribe = window.store.subscribe(onStoreChange);
+        }
+        buildMarkers();
+        mount();
+        if (!root?.isConnected) return;
+        layout();
+        draw();
+      }
+
+      function unmount() {
+        if (unsubscribe) unsubscribe();
+        mountObserver?.disconnect();
+        resizeObserver?.disconnect();
+        root?.remove();
+        root = canvas = tooltip = timeline = null;
+        unsubscribe = mountObserver = resizeObserver = null;
+      }
+
+      /**
+       * Shows the marker strip on the player timeline
+       * @param {Object} showOptions - { anchor: the player timeline element, or a selector for it }
+       *
+       * @example
+       * showKeyframeTimeline({ anchor: document.querySelector("#timeline") });
+       */
+      function show(showOptions = {}) {
+        if (!showOptions.anchor) {
+          throw new Error(
+            "showKeyframeTimeline needs { anchor }: the player timeline element or a selector for it",
+          );
+        }
+        options = showOptions;
+        enabled = true;
+        missingWarned = false;
+        // Mount afresh, in case the anchor changed
+        unmount();
+        refresh();
+      }
+
+      /**
+       * Removes the marker strip until showKeyframeTimeline() is called again
+       */
+      function hide() {
+        enabled = false;
+        unmount();
+      }
+
+      return { show, hide, refresh };
+    })();
 
     /**
-     * Triggers the gravity system by hooking into the engine's gravity property
-     * @internal
+     * Keyframe editor in the editor's custom settings (custom tools API), so choreography can be
+     * changed without the console. Lists every item of the current set with its time, target and
+     * arguments; edits, on/off switches and jumps work on the list, "Apply" re-applies it.
      */
-    function triggerSubscriberHack() {
-      Object.defineProperty(window.$ENGINE_PARAMS, "gravity", {
-        get() {
-          // Initialize frame cache on first access
-          if (!window.__gravityFrameCache) {
-            window.__gravityFrameCache = {
-              frameIndex: -1,
-              engine: null,
-              riders: null,
-              frameData: null,
-              previousFrameData: null,
-              gravityResults: {},
-              riderEntities: null,
-              previousRiderEntities: null,
-            };
+    const KeyframePanel = (() => {
+      let panel = null; // Mounted component, refreshed when the keyframe set changes
+
+      function toRow(item, index) {
+        let declarative = null;
+        try {
+          declarative = toDeclarativeItem(item, index);
+        } catch (_error) {
+          // Custom functions cannot be described: only the on/off switch is editable
+        }
+        return {
+          index,
+          item,
+          declarative,
+          enabled: !DisabledItems.has(item),
+          edits: {},
+        };
+      }
+
+      function readRows() {
+        return (window.__gravityKeyframeItems || []).map(toRow);
+      }
+
+      // Strings are edited as text, everything else as JSON
+      function formatValue(value) {
+        return typeof value === "string" ? value : JSON.stringify(value);
+      }
+
+      function parseValue(text, original, label) {
+        if (typeof original === "string") return text;
+        try {
+          return JSON.parse(text);
+        } catch (_error) {
+          throw new Error(`${label}: ${text} is not valid JSON`);
+        }
+      }
+
+      function editKey(field, key) {
+        return key === undefined ? field : `${field}.${key}`;
+      }
+
+      /**
+       * The row as a keyframe item with its edits applied
+       * @internal
+       */
+      function buildItem(row) {
+        if (!row.declarative) {
+          if (row.enabled === !DisabledItems.has(row.item)) return row.item;
+          // A copy, so switching the row does not change the item everywhere else it is used
+          const item = [...row.item];
+          if (!row.enabled) DisabledItems.add(item);
+          return item;
+        }
+        const { declarative, edits, index } = row;
+        const item = {
+          ...declarative,
+          args: Array.isArray(declarative.args)
+            ? [...declarative.args]
+            : { ...declarative.args },
+        };
+        for (const [key, text] of Object.entries(edits)) {
+          const [field, arg] = key.split(".");
+          if (field === "at") {
+            item.at = parseTime(text);
+          } else if (field === "args") {
+            item.args[arg] = parseValue(
+              text,
+              declarative.args[arg],
+              `Item ${index} ${arg}`,
+            );
+          } else {
+            item[field] = parseValue(
+              text,
+              declarative[field],
+              `Item ${index} ${field}`,
+            );
           }
+        }
+        if (row.enabled) delete item.enabled;
+        else item.enabled = false;
+        return item;
+      }
 
-          const cache = window.__gravityFrameCache;
+      function itemFrame(row) {
+        return ItemFrames.get(row.item) ?? null;
+      }
 
-          // Get frame index (first store access - unavoidable)
-          const state = store.getState();
-          const engine = state.simulator.engine.engine;
-          const frameIndex = engine._computed._frames.length;
+      // Times may be written as JSON ([0, 2, 15], 100) or as timestamp strings ("flag + 20")
+      function parseTime(text) {
+        try {
+          return JSON.parse(text);
+        } catch (_error) {
+          return text;
+        }
+      }
+
+      function createComponent(React) {
+        const e = React.createElement;
+
+        return class GravityKeyframePanel extends React.Component {
+          constructor(props) {
+            super(props);
+            this.state = { active: false, rows: [], error: null };
+          }
+
+          componentDidMount() {
+            panel = this;
+          }
+
+          componentWillUnmount() {
+            if (panel === this) panel = null;
+          }
+
+          onActivate() {
+            this.setState(({ active }) => ({
+              active: !active,
+              rows: readRows(),
+              error: null,
+            }));
+          }
+
+          updateRow(index, update) {
+            this.setState(({ rows }) => ({
+              rows: rows.map((row) =>
+                row.index === index ? { ...row, ...update(row) } : row,
+              ),
+            }));
+          }
+
+          onEdit(row, key, text) {
+            this.updateRow(row.index, ({ edits }) => ({
+              edits: { ...edits, [key]: text },
+            }));
+          }
 
-          // Check if we need to refresh the cache for a new frame
-          if (cache.frameIndex !== frameIndex) {
-            // New frame - reset cache
-            cache.frameIndex = frameIndex;
-            cache.engine = engine;
-            cache.riders = engine.state.riders || [];
-            cache.frameData = engine.getFrame(frameIndex - 1);
-            cache.previousFrameData =
-              frameIndex >= 2 ? engine.getFrame(frameIndex - 2) : null;
-            cache.gravityResults = {}; // Clear gravity results cache
+          onApply() {
+            try {
+              setGravityKeyframes(this.state.rows.map(buildItem));
+              this.setState({ rows: readRows(), error: null });
+            } catch (error) {
+              this.setState({ error: error.message });
+            }
+          }
 
-            // Pre-extract deep object paths to avoid repeated traversal
-            cache.riderEntities =
-              cache.frameData?.snapshot?.entities?.[0]?.entities || [];
-            cache.previousRiderEntities =
-              cache.previousFrameData?.frameData?.snapshot?.entities?.[0]
-                ?.entities || [];
+          onRevert() {
+            this.setState({ rows: readRows(), error: null });
           }
 
-          const numRiders = cache.riders.length;
-          if (numRiders === 0) {
-            return DEFAULT_GRAVITY;
+          renderInput(row, field, key, original) {
+            const edited = row.edits[editKey(field, key)];
+            const value = edited ?? formatValue(original);
+            const isNumber = typeof original === "number" && field !== "at";
+            return e("input", {
+              type: isNumber ? "number" : "text",
+              value,
+              disabled: !row.declarative,
+              style: {
+                width: isNumber ? "5em" : "9em",
+                backgroundColor: edited === undefined ? null : "lightyellow",
+              },
+              onChange: (event) =>
+                this.onEdit(row, editKey(field, key), event.target.value),
+            });
           }
 
-          const iterationsPerRider = 17;
-          const globalIteration = (window.__gravityIterationCounter =
-            (window.__gravityIterationCounter || 0) + 1);
-
-          const currentRiderIndex =
-            Math.floor((globalIteration - 1) / iterationsPerRider) % numRiders;
-          const currentContactPoint =
-            (globalIteration - 1) % iterationsPerRider;
-          if (currentContactPoint > 9) {
-            // ignore gravity for scarf
-            return DEFAULT_GRAVITY;
+          renderRow(row) {
+            const { declarative } = row;
+            const frame = itemFrame(row);
+            const label = declarative
+              ? `${declarative.effect}${declarative.blend ? ` (${declarative.blend})` : ""}`
+              : `${Array.isArray(row.item) && isValidTimestamp(row.item[0]) ? describeEffect(row.item[2]).effect : "raw keyframes"} (custom functions: values not editable)`;
+            const args = declarative
+              ? Object.entries(declarative.args).map(([key, value]) =>
+                  e(
+                    "div",
+                    { key, style: { paddingLeft: "1.5em" } },
+                    `${key} `,
+                    this.renderInput(row, "args", key, value),
+                  ),
+                )
+              : [];
+
+            return e(
+              "div",
+              {
+                key: row.index,
+                style: {
+                  borderTop: "1px solid #ddd",
+                  padding: "2px 0",
+                  opacity: row.enabled ? 1 : 0.5,
+                },
+              },
+              e(
+                "div",
+                null,
+                e("input", {
+                  type: "checkbox",
+                  checked: row.enabled,
+                  title: "Enabled",
+                  onChange: (event) =>
+                    this.updateRow(row.index, () => ({
+                      enabled: event.target.checked,
+                    })),
+                }),
+                `#${row.index} ${label} `,
+                e(
+                  "button",
+                  {
+                    disabled: frame === null,
+                    onClick: () =>
+                      window.store.dispatch({
+                        type: "SET_PLAYER_INDEX",
+                        payload: frame,
+                      }),
+                  },
+                  "Go",
+                ),
+              ),
+              declarative &&
+                e(
+                  "div",
+                  { style: { paddingLeft: "1.5em" } },
+                  "at ",
+                  this.renderInput(row, "at", undefined, declarative.at),
+                  frame === null ? "" : ` (frame ${frame}) `,
+                  "target ",
+                  this.renderInput(
+                    row,
+                    "target",
+                    undefined,
+                    declarative.target,
+                  ),
+                ),
+              ...args,
+            );
           }
-          const globalCpIndex = currentRiderIndex * 17 + currentContactPoint;
 
-          // Check if we already computed gravity for this contact point this frame
-          if (cache.gravityResults[globalCpIndex] !== undefined) {
-            return cache.gravityResults[globalCpIndex];
+          render() {
+            const { active, rows, error } = this.state;
+            const tools = active && [
+              e(
+                "div",
+                {
+                  key: "rows",
+                  style: { maxHeight: "50vh", overflowY: "auto" },
+                },
+                rows.length === 0
+                  ? "No gravity keyframes set"
+                  : rows.map((row) => this.renderRow(row)),
+              ),
+              error &&
+                e(
+                  "div",
+                  {
+                    key: "error",
+                    style: { color: "red", whiteSpace: "pre-wrap" },
+                  },
+                  error,
+                ),
+              e(
+                "button",
+                { key: "apply", onClick: () => this.onApply() },
+                "Apply",
+              ),
+              e(
+                "button",
+                { key: "revert", onClick: () => this.onRevert() },
+                "Revert",
+              ),
+            ];
+
+            return e(
+              "div",
+              null,
+              active && e("div", null, tools),
+              e(
+                "button",
+                {
+                  style: { backgroundColor: active ? "lightblue" : null },
+                  onClick: () => this.onActivate(),
+                },
+                "Gravity Keyframes",
+              ),
+            );
           }
+        };
+      }
 
-          const allKeyframes = window.allGravityKeyframes || [];
-          const riderIndex = Math.floor(globalCpIndex / 17);
-          const contactPoint = globalCpIndex % 17;
+      function register() {
+        window.registerCustomSetting(createComponent(window.React));
+      }
 
-          // Use pre-extracted cached entities (eliminates deep traversal)
-          const riderData = cache.riderEntities[riderIndex];
-          const contactPointData = riderData?.points?.[contactPoint];
-          const previousRiderData = cache.previousRiderEntities[riderIndex];
-          const previousContactPointData =
-            previousRiderData?.points?.[contactPoint];
+      /**
+       * Registers the panel once the custom tools API is available
+       * @internal
+       */
+      function install() {
+        whenEditorReady(register);
+      }
 
-          const result = getGravityForContactPoint({
-            keyframes: allKeyframes,
-            frameIndex,
-            globalCpIndex,
-            context: {
-              contactPoint,
-              riderData,
-              contactPointData,
-              previousFrameData: cache.previousFrameData,
-              previousRiderData,
-              previousContactPointData,
-            },
-          });
+      /**
+       * Re-reads the keyframe set into the panel, dropping unapplied edits
+       * @internal
+       */
+      function refresh() {
+        if (panel?.state.active)
+          panel.setState({ rows: readRows(), error: null });
+      }
 
-          // Cache the result for this contact point
-          cache.gravityResults[globalCpIndex] = result;
+      return { install, refresh };
+    })();
 
-          return result;
-        },
-      });
-    }
+    KeyframePanel.install();
 
     function help() {
       return `
@@ -1338,6 +5223,18 @@
 					optionalInterval
 					]
 
+				Times (t):
+					[minutes, seconds, frames] or a frame number, or a string:
+					- "1:02.15"   1 minute, 2 seconds and 15 frames, like [1, 2, 15]
+					- "2.5s"      seconds, rounded to the nearest frame
+					- "flag", "player"   the editor's flag or player position when the set is applied
+					- "flag + 20", "flag - 1.5s", "1:00 + 10"   a time plus or minus another
+					- "+40", "-0.5s"     relative to the previous item's time
+					Strings are saved as written, so moving the flag and re-applying shifts every
+					"flag + ..." item, and a run of "+..." items moves with the item before it.
+					"player ..." times are the exception: they are turned into frame numbers when applied,
+					since the playhead is not saved. Times before frame 0 are rejected.
+
 				Keyframe with interval:
 					[ t, [cp0, cp1, ..., cp16, cp0', cp1', ..., cp16', ...], effectFn, interval ]
 
@@ -1359,10 +5256,23 @@
 					  Applies a temporary gravity pulse (x, y) for 'duration' frames, then restores
 					  to fallback/end gravity defined by (normalX, normalY).
 
+					- animateGravity(from, to, duration, tweenFn = Tween.linear, { mode = "linear", direction })
+					  Changes gravity gradually from 'from' (null: the last setGravity) to 'to' and keeps it.
+					  mode "polar" turns the gravity direction ("shortest", "clockwise" or
+					  "counterclockwise") and interpolates its strength instead of x and y.
+					  Example: animateGravity(null, [0.175, 0], 80, Tween.easeInOutSine, { mode: "polar" })
+
 					- teleport(dx, dy, normalX = 0, normalY = 0.175)
 					  Instantly displaces by (dx, dy), applies inverse correction next frame,
 					  then restores to fallback/end gravity (normalX, normalY).
 
+					- setVelocity(vx, vy)
+					  Leaves the points moving at exactly (vx, vy) px/frame (null keeps that axis),
+					  then returns to the rider's last gravity.
+					  addVelocity(dvx, dvy) changes the velocity by (dvx, dvy) instead,
+					  setSpeed(speed) keeps the rider's direction and sets its speed,
+					  rotateVelocity(angle) turns the velocity by angle degrees and keeps the speed.
+
 					- lockToAxis(x = null, y = null, maxForce, duration, tweenFn = Tween.none, damping = 0.5)
 					  Uses damped spring physics to lock contact points to target position.
 					  Spring force pulls toward target, damping prevents overshoot.
@@ -1375,12 +5285,193 @@
 					  Creates custom gravity wells that pull points toward the curve.
 					  Examples: circles, ellipses, sine waves, spirals - any mathematical function!
 					  Use SnapCurves helpers for common shapes (circle, ellipse, sine, spiral).
+					  SnapCurves.path(points or Bezier segments, closed) snaps to any spline, and
+					  SnapCurves.fromSelection() snaps to the lines selected with the Select tool
+					  (joined lines become one curve; the coordinates are copied when called).
 					  Returns to the rider's last gravity after duration.
 
+					- followPath(path, speed, duration = null, { closed, orientToPath, anchor, startAt })
+					  Moves contact points along a polyline ([[x, y], ...]) or cubic Bezier segments
+					  ([[start, control1, control2, end], ...]) at 'speed' pixels per frame along the path.
+					  The anchor (default PEG) sits exactly on the path and the other points move with it.
+					  closed loops the path, orientToPath keeps the sled pointing along it,
+					  startAt is the distance along the path to begin at.
+					  Duration defaults to one pass; afterwards the rider keeps the path's velocity
+					  and returns to its last gravity.
+
 					- adjustRider()
 					  Returns a chainable builder that produces a function (t, cp) => keyframes.
 					  Example: adjustRider().pose(Poses.kramual).angle(90).x(100).relative()(t, cp)
 
+					- morphPose(fromPose, toPose, duration, tweenFn = Tween.linear, { anchor = PEG, angle })
+					  Morphs the rider between poses frame by frame instead of snapping in one frame.
+					  fromPose "current" starts from the rider's shape when the morph starts.
+					  The anchor keeps its course and the poses are turned to angle degrees
+					  (default: the sled's angle at the start). Returns to the rider's last gravity after.
+					  Example: morphPose("current", Poses.singularity, 80, Tween.easeInQuad)
+
+					- spin(anchor, degrees, duration, tweenFn = Tween.linear, { perFrame })
+					  Rotates the rider rigidly by degrees over duration frames about a contact point,
+					  a world point ({ x, y }) or, with anchor null, the rider's centre.
+					  perFrame makes degrees the rotation per frame instead of the total.
+					  The pivot travels with the rider's centre of mass, so the rider keeps its velocity.
+					  Example: spin(null, -360, 40, Tween.easeInOutQuad) for a one-second backflip
+
+					- scaleRider(factor, duration, tweenFn = Tween.linear, anchor = PEG, { pose, restore, hold })
+					  Grows or shrinks the rider about the anchor to factor times its starting size,
+					  or to factor times a pose (object or name) when pose is given.
+					  restore scales back to the starting shape over another duration frames,
+					  after holding the new size for hold frames.
+					  Example: scaleRider(0.5, 40, Tween.easeInOutQuad, PEG, { restore: true, hold: 80 })
+
+				Poses:
+					Built in: Poses.default, Poses.kramual, Poses.singularity.
+					Anywhere a pose is taken, its name works too: adjustRider().pose("kramual").
+
+					- capturePose(name, riderIndex = 0, frame = current frame, anchor = PEG, { saveToTrack, level })
+					  Records the rider's shape at a frame as Poses[name], as simulated; with level: true
+					  it is turned so the sled is level, like the built-in poses.
+					  Captured poses are kept in localStorage and available on every track;
+					  saveToTrack also stores the pose in the track so it loads with it elsewhere.
+					  Example: capturePose("myLanding", 0, 820) then adjustRider().pose("myLanding")
+
+					- deletePose(name)
+					  Forgets a captured pose.
+
+				Tweens (for every tweenFn argument; all take t from 0 to 1):
+					Easings: linear, none, easeIn/easeOut/easeInOut + Quad, Cubic, Sine, Expo,
+					Elastic, Bounce and Back (Elastic and Back overshoot 0-1).
+					- Tween.steps(count, position = "end")       CSS steps(); position "start", "end", "both", "none"
+					- Tween.cubicBezier(x1, y1, x2, y2)          CSS cubic-bezier() / After Effects speed graph
+					- Tween.keyframes([[time, value, tweenFn], ...])
+					  Piecewise curve; each point's tweenFn eases the segment leading into it.
+					- Tween.reverse(tween), Tween.mirror(tween)  Play backwards / there and back
+					- Tween.chain(tweenA, tweenB, ...)           Play one after another in equal shares
+					- Tween.multiply(tweenA, tweenB, ...)        Multiply the values
+					Example: lockToAxis(null, 50, 2, 40, Tween.cubicBezier(0.68, -0.6, 0.32, 1.6))
+
+				Rider forces (added on top of the gravity already acting on the points):
+					- attractTo(source, strength, falloff = 2, duration, { minDistance, maxDistance, repelWithin })
+					  Pulls each point toward the center of every source rider (except its own) with
+					  strength / distance^falloff. source is a RiderSelection, a rider string ("lead", "#0")
+					  or rider indices. Riders' positions are read from the frame being computed.
+					- repelFrom(source, strength, falloff = 2, duration, options)
+					  The opposite of attractTo.
+					- nBody(strength, falloff = 2, duration, options)
+					  Every targeted rider attracts every other one. repelWithin pushes riders apart
+					  when closer than that, for collisions without lines.
+					  Example: [0, "swarm", nBody(80, 2, 600, { repelWithin: 20 })]
+					- turbulence(scale, strength, speed = 1, seed = 0, duration, { octaves = 1 })
+					  Swirling gravity from seeded noise over position and time; swirls are about
+					  'scale' px across and change 'speed' times a second. The same seed always
+					  gives the same ride. Noise.random(seed) and Noise.perlin(seed) give the same
+					  seeded randomness for custom gravity functions (Math.random is not replayable).
+					  Example: turbulence(200, 0.1, 0.5, 42, 400, { octaves: 3 })
+					- vectorField(field, duration)
+					  Adds field(pos, vel, frame) => {x, y} to every targeted point; an array of fields
+					  is summed, and several vectorField items stack. Built-in fields:
+					  Fields.well(centerX, centerY, strength, falloff = 2, { minDistance, maxDistance })
+					  Fields.vortex(centerX, centerY, strength, falloff = 1, options)   clockwise if positive
+					  Fields.uniform(x, y, zone = null)   constant, optionally inside a zone (bands)
+					  Fields.sink(centerX, centerY, strength, radius, falloff = 1, { damping = 0.1 })
+					  Example: vectorField([Fields.well(400, 0, 500), Fields.vortex(400, 0, 20)], 400)
+					- drag(coefficient, mode = "linear", duration, { points })
+					  Resistance from each point's own velocity: linear removes 'coefficient' of it
+					  per frame, quadratic grows with speed. points limits it to indices or groups
+					  ("scarf", "body", "sled,hands"); the scarf needs setScarfGravity(true).
+					  Example: drag(0.08, "linear", 200) for underwater.
+					- wind(direction, strength, gustiness = 0, duration, { coefficient, mode, seed, points })
+					  Air blowing toward direction degrees (0 right, 90 down) at strength px/frame,
+					  pushing points by their speed relative to it. gustiness (0-1) varies the speed
+					  with seeded gusts. Example: wind(180, 8, 0.5, 400, { points: "scarf" })
+
+				Zone triggers:
+					- onEnterZone(zone, effect, { repeat = "oncePerRider", delay = 0 })
+					  Runs effect when a targeted point enters zone instead of at a fixed frame, so
+					  downstream effects don't need retiming when the track changes. The item's time
+					  arms the trigger; the effect starts the frame after the entry (plus delay) on
+					  that rider's targeted points.
+					  Zones: Zones.rect(x, y, width, height), Zones.circle(centerX, centerY, radius),
+					  Zones.polygon([[x, y], ...]).
+					  repeat: "oncePerRider" (each rider once), "once" (first rider only) or
+					  "rearm" (again every time a rider re-enters after leaving).
+					  Example: [0, "*:body", onEnterZone(Zones.rect(300, -50, 40, 100), teleport(0, -50))]
+
+					- onEvent(event, effect, { repeat = "oncePerRider", delay = 0 })
+					  Same as onEnterZone, but fires when a rider event starts:
+					  Events.crash (dismount or sled break), Events.dismount, Events.sledBreak,
+					  Events.lineContact({ lines, radius = 2 }) (a targeted point touches one of the lines
+					  with these ids),
+					  Events.speedAbove(speed) / Events.speedBelow(speed) (average speed of the targeted points).
+					  Example: [0, "*", onEvent(Events.dismount, setGravity(0, -0.05))]
+
+				Blending:
+					Every item is a layer on the points it targets. By default ("replace") the latest
+					keyframe wins, as before. blend(mode, effect) layers an effect on top instead:
+					- blend("add", pulseGravity(0, -1, 5)) adds its gravity to the result
+					- blend("multiply", pulseGravity(1, 0.5, 40)) scales the result per axis
+					Add and multiply layers apply on top of the replace result in the order they started.
+					When a temporary effect ends it gives its points back to whatever it covered:
+					an effect still running underneath, or the last setGravity.
+					In declarative keyframes use blend: "add" next to effect and args.
+
+				Linting:
+					setGravityKeyframes checks the whole set before simulating and throws one error listing
+					every problem by item index: missing initial setGravity, contact points outside the
+					riders in the scene, negative or fractional frames and keyframes without a gravity
+					function. Only the keyframe data is checked; effects first run in the simulation.
+					Overlapping continuous replace effects on the same point are logged as warnings.
+					lintGravityKeyframes(items) returns the problems without applying anything.
+
+				Diagnostics:
+					Contact points are told apart by the order the engine reads gravity in each frame.
+					Gravity reads from outside the simulation are ignored, and every frame is checked to read
+					gravity once per contact point. A frame whose count drifted is re-simulated the next time
+					it is played, without moving the player; if it drifts again it is reported and kept.
+					GravityAPI.getGravityDiagnostics() lists stray reads and drifted frames.
+
+				Timeline:
+					showKeyframeTimeline({ anchor }) draws keyframe markers on top of the player timeline
+					(anchor: its element, or a selector for it) while a keyframe set is active, one lane
+					per rider group. Bars are continuous effects, ticks are instant ones.
+					Hover a marker for its effect and target, click it to jump there.
+					hideKeyframeTimeline() removes it.
+
+				Keyframe panel:
+					The "Gravity Keyframes" button in the editor's custom settings opens a list of every
+					item in the current set with its time, target, effect and arguments. Edit values
+					(strings as text, everything else as JSON), tick items on or off, "Go" jumps the
+					player to an item, and "Apply" re-applies the whole set. Items using custom
+					functions can be switched on and off but their values cannot be edited.
+					Needs the custom tools API.
+
+				Gravity overlay:
+					showGravityOverlay({ scale = 20 }) draws the gravity acting on every contact point at the
+					current frame as arrows tinted by effect (GravityAPI.GravityOverlayColors lists them).
+					Points on the engine's own gravity, like scarf points not opted in, use the "default" tint.
+					Gravity is kept for the 2400 frames around the player. hideGravityOverlay() removes it.
+
+				Scarf:
+					Scarf points (10-16) keep default gravity unless setScarfGravity(true) is called.
+					The setting is saved with the track.
+
+				Declarative keyframes (plain JSON, same effects and argument names):
+					{ effect: "lockToAxis", args: { axisY: 50, maxForce: 2, duration: 40 }, at: [0, 7, 20], target: "hero:sled" }
+
+					enabled: false keeps an item in the set (and the saved track) without simulating it.
+
+					Targets: contact point arrays, RiderSelections or "riders:points" strings,
+					e.g. "hero:sled", "hero,villain:feet", "*:scarf", "#2" (rider index 2, all points).
+					Function args use references: { $ref: "Tween.easeOutQuad" },
+					{ $ref: "SnapCurves.circle", args: { centerX: 0, centerY: 0, radius: 100 } }.
+					exportGravityKeyframes() returns the current set in this format.
+
+				Saving:
+					Keyframes are saved into the track script and restored when the track is loaded.
+					Only sets built from the functions above (and Tween, SnapCurves, Fields, Zones, Events, Intervals, Poses)
+					can be saved; custom functions keep working but are not stored with the track.
+					restoreKeyframesFromTrack() re-applies the saved set manually.
+
 
 
 			`.trim();
@@ -1391,10 +5482,195 @@
       kramual: KramualPose,
       singularity: SingularityPose,
     };
+    const BUILT_IN_POSES = new Set(Object.keys(Poses));
+    const POSE_STORAGE_KEY = "gravity-api:poses";
+    // Captured poses saved with the current track, on top of the ones in localStorage
+    const TrackPoses = {};
+
+    /**
+     * Looks up a pose by name
+     * @param {string} name - Pose name, e.g. "kramual" or a captured pose
+     * @returns {Object} The pose
+     * @internal
+     */
+    function getPose(name) {
+      if (!Object.hasOwn(Poses, name)) {
+        throw new Error(
+          `Unknown pose "${name}". Known poses: ${Object.keys(Poses).join(", ")}`,
+        );
+      }
+      return Poses[name];
+    }
+
+    function addPose(name, pose) {
+      Poses[name] = pose;
+      registerRef(`Poses.${name}`, pose);
+    }
+
+    function readStoredPoses() {
+      try {
+        return JSON.parse(localStorage.getItem(POSE_STORAGE_KEY)) ?? {};
+      } catch (error) {
+        console.warn(`Stored poses could not be read: ${error.message}`);
+        return {};
+      }
+    }
+
+    function writeStoredPoses(poses) {
+      try {
+        localStorage.setItem(POSE_STORAGE_KEY, JSON.stringify(poses));
+      } catch (error) {
+        console.warn(`Poses could not be stored: ${error.message}`);
+      }
+    }
+
+    /**
+     * Records the rider's shape at a frame as a named pose, usable anywhere a pose is,
+     * by object (Poses.myLanding) or by name (adjustRider().pose("myLanding")).
+     * Offsets are kept exactly as simulated, so a tilted sled stays tilted; the pose is
+     * kept in localStorage so it is available on every track.
+     * @param {string} name - Pose name
+     * @param {number} riderIndex - Rider to capture (default: 0)
+     * @param {number} frame - Frame to capture (default: the current frame)
+     * @param {number} anchor - Contact point at the pose's origin (default: ContactPoints.PEG)
+     * @param {Object} options - { saveToTrack = false, level = false }
+     *   saveToTrack: also store the pose in the track, so it loads with it on other machines
+     *   level: turn the shape so the sled is level, like the built-in poses
+     * @returns {Object} The captured pose
+     *
+     * @example
+     * // Capture the landing at the current frame, then reuse it
+     * capturePose("myLanding");
+     * setGravityKeyframes([[[0, 4, 0], all, adjustRider().pose("myLanding")]]);
+     */
+    function capturePose(
+      name,
+      riderIndex = 0,
+      frame = window.store.getState().player.index,
+      anchor = ContactPoints.PEG,
+      options = {},
+    ) {
+      const { saveToTrack = false, level = false } = options;
+      if (typeof name !== "string" || !name) {
+        throw new Error("capturePose needs a name for the pose");
+      }
+      if (BUILT_IN_POSES.has(name)) {
+        throw new Error(`"${name}" is a built-in pose and cannot be replaced`);
+      }
+      if (name === "current") {
+        throw new Error(`"current" is reserved for the rider's current shape`);
+      }
+      const rider = getRiderAtFrame(frame, riderIndex);
+      if (!rider) {
+        throw new Error(`Rider ${riderIndex} does not exist on frame ${frame}`);
+      }
+
+      const rotation = level ? -sledAngle(rider.points) : 0;
+      const round = (value) => Math.round(value * 100) / 100;
+      const pose = {};
+      for (const [cp, offset] of Object.entries(
+        buildCurrentPose(rider, anchor),
+      )) {
+        const turned = rotateOffset(offset, rotation);
+        pose[cp] = { x: round(turned.x), y: round(turned.y) };
+      }
+
+      addPose(name, pose);
+      writeStoredPoses({ ...readStoredPoses(), [name]: pose });
+      if (saveToTrack) {
+        TrackPoses[name] = pose;
+        saveKeyframesToTrack(window.__gravityKeyframeItems || []);
+      }
+      return pose;
+    }
+
+    /**
+     * Forgets a captured pose, in localStorage and in the current track
+     * @param {string} name - Pose name
+     * @returns {boolean} Whether the pose existed
+     */
+    function deletePose(name) {
+      if (BUILT_IN_POSES.has(name)) {
+        throw new Error(`"${name}" is a built-in pose and cannot be deleted`);
+      }
+      if (!Object.hasOwn(Poses, name)) return false;
+
+      delete Poses[name];
+      SerializableRefs.delete(`Poses.${name}`);
+      const stored = readStoredPoses();
+      delete stored[name];
+      writeStoredPoses(stored);
+      if (Object.hasOwn(TrackPoses, name)) {
+        delete TrackPoses[name];
+        saveKeyframesToTrack(window.__gravityKeyframeItems || []);
+      }
+      return true;
+    }
+
+    const CHAIN_TOLERANCE = 0.01; // Endpoints closer than this count as joined
+
+    function getSelectedLines() {
+      const state = window.store.getState();
+      const selectedPoints = state.toolState?.SELECT_TOOL?.selectedPoints;
+      const track = state.simulator.committedEngine;
+      // Each line owns two selectable points: line id = point >> 1
+      const lineIds = new Set([...(selectedPoints || [])].map((p) => p >> 1));
+      return [...lineIds]
+        .map((id) => track.getLine(id))
+        .filter(Boolean)
+        .map((line) => [
+          { x: line.p1.x, y: line.p1.y },
+          { x: line.p2.x, y: line.p2.y },
+        ]);
+    }
+
+    /**
+     * Groups the selected lines into chains of points, joining lines that share endpoints
+     * @returns {Array<Array<{x, y}>>} One point list per chain; closed loops end on their first point
+     * @internal
+     */
+    function getSelectedLineChains() {
+      const unused = getSelectedLines();
+      if (unused.length === 0) {
+        throw new Error(
+          "No lines selected. Select lines with the Select tool first.",
+        );
+      }
+
+      const joined = (a, b) =>
+        Math.abs(a.x - b.x) <= CHAIN_TOLERANCE &&
+        Math.abs(a.y - b.y) <= CHAIN_TOLERANCE;
+      // Removes and returns the unused line touching point, oriented to start there
+      const takeLineFrom = (point) => {
+        for (let i = 0; i < unused.length; i++) {
+          const [p1, p2] = unused[i];
+          if (joined(p1, point) || joined(p2, point)) {
+            unused.splice(i, 1);
+            return joined(p1, point) ? [p1, p2] : [p2, p1];
+          }
+        }
+        return null;
+      };
+
+      const chains = [];
+      while (unused.length > 0) {
+        const chain = [...unused.shift()];
+        for (let line; (line = takeLineFrom(chain[chain.length - 1]));) {
+          chain.push(line[1]);
+        }
+        for (let line; (line = takeLineFrom(chain[0]));) {
+          chain.unshift(line[1]);
+        }
+        chains.push(chain);
+      }
+      return chains;
+    }
 
     /**
      * Helper functions for creating common curve snap functions
      */
+    let radialGravityWarned = false;
+
     const SnapCurves = {
       /**
        * Creates a circle snap function
@@ -1482,41 +5758,611 @@
       },
 
       /**
-       * Creates a spiral snap function
-       * @param {number} centerX - X coordinate of spiral center
-       * @param {number} centerY - Y coordinate of spiral center
+       * Force field that pushes out inside radius and pulls in outside it
+       * @deprecated Returns a force, not a closest point, so snapTo cannot use it.
+       *   Use vectorField(Fields.well(...)); vectorField also accepts this function as is.
+       * @param {number} centerX - X coordinate of the field center
+       * @param {number} centerY - Y coordinate of the field center
        * @param {number} radius - The size of the gravity field
-       * @returns {Function} Closest point function for the spiral
+       * @returns {Function} Field function (pos) => {x, y}
        */
-      radialGravity: (centerX, centerY, radius) => (pos) => {
-        const dx = centerX - pos.x; // center at 0,0
-        const dy = centerY - pos.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
+      radialGravity: (centerX, centerY, radius) => {
+        if (!radialGravityWarned) {
+          console.warn(
+            "SnapCurves.radialGravity is deprecated: it returns a force, not a closest point, so snapTo cannot use it. Use vectorField(Fields.well(centerX, centerY, strength)).",
+          );
+          radialGravityWarned = true;
+        }
+        return (pos) => {
+          const dx = centerX - pos.x; // center at 0,0
+          const dy = centerY - pos.y;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+
+          if (dist < radius) {
+            // Push outward
+            return { x: (-dx / dist) * 0.5, y: (-dy / dist) * 0.5 };
+          } else {
+            // Pull inward
+            return { x: (dx / dist) * 0.5, y: (dy / dist) * 0.5 };
+          }
+        };
+      },
 
-        if (dist < radius) {
-          // Push outward
-          return { x: (-dx / dist) * 0.5, y: (-dy / dist) * 0.5 };
-        } else {
-          // Pull inward
-          return { x: (dx / dist) * 0.5, y: (dy / dist) * 0.5 };
+      /**
+       * Creates a snap function for a polyline or Bezier spline
+       * @param {Array} path - Points ([x, y] or {x, y}) or cubic Bezier segments [start, control1, control2, end]
+       * @param {boolean} closed - Whether the path joins back to its first point (default: false)
+       * @returns {Function} Closest point function for the path, with the segment's tangent
+       */
+      path: (path, closed = false) => {
+        const track = buildPath(path, closed);
+        return (pos) => {
+          const { x, y, tangentX, tangentY } = track.closestPoint(pos);
+          return { x, y, tangentX, tangentY };
+        };
+      },
+
+      /**
+       * Creates a snap function for several separate paths, snapping to whichever is nearest
+       * @param {Array<Array>} paths - Paths as accepted by SnapCurves.path
+       * @returns {Function} Closest point function for the nearest path
+       */
+      paths: (paths) => {
+        const tracks = paths.map((path) => buildPath(path));
+        return (pos) => {
+          let best = null;
+          for (const track of tracks) {
+            const point = track.closestPoint(pos);
+            if (!best || point.distanceSquared < best.distanceSquared) {
+              best = point;
+            }
+          }
+          const { x, y, tangentX, tangentY } = best;
+          return { x, y, tangentX, tangentY };
+        };
+      },
+
+      /**
+       * Creates a snap function from the lines currently selected with the Select tool.
+       * Lines sharing endpoints are chained into one continuous curve, running in the
+       * direction of the first line of each chain. The coordinates are copied, so the
+       * result keeps working (and saves with the track) after the selection changes.
+       * @returns {Function} Closest point function for the selected lines
+       */
+      fromSelection: () => {
+        const chains = getSelectedLineChains();
+        return chains.length === 1
+          ? SnapCurves.path(chains[0])
+          : SnapCurves.paths(chains);
+      },
+    };
+
+    /**
+     * Areas for onEnterZone. Each returns a function (pos) => whether pos is inside.
+     */
+    const Zones = {
+      /**
+       * Axis-aligned rectangle
+       * @param {number} x - Left edge
+       * @param {number} y - Top edge
+       * @param {number} width - Width
+       * @param {number} height - Height
+       * @returns {Function} Containment test for the rectangle
+       */
+      rect: (x, y, width, height) => (pos) =>
+        pos.x >= x && pos.x <= x + width && pos.y >= y && pos.y <= y + height,
+
+      /**
+       * Circle
+       * @param {number} centerX - X coordinate of circle center
+       * @param {number} centerY - Y coordinate of circle center
+       * @param {number} radius - Radius of the circle
+       * @returns {Function} Containment test for the circle
+       */
+      circle: (centerX, centerY, radius) => (pos) =>
+        (pos.x - centerX) ** 2 + (pos.y - centerY) ** 2 <= radius ** 2,
+
+      /**
+       * Polygon (closed automatically)
+       * @param {Array} points - Corners as [x, y] or {x, y}
+       * @returns {Function} Containment test for the polygon
+       */
+      polygon: (points) => {
+        const corners = points.map(toPathPoint);
+        if (corners.length < 3) {
+          throw new Error("A polygon zone needs at least three points");
+        }
+        return (pos) => {
+          // Even-odd rule: count edges crossed by a ray going right from pos
+          let inside = false;
+          for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+            const a = corners[i];
+            const b = corners[j];
+            if (
+              a.y > pos.y !== b.y > pos.y &&
+              pos.x < ((b.x - a.x) * (pos.y - a.y)) / (b.y - a.y) + a.x
+            ) {
+              inside = !inside;
+            }
+          }
+          return inside;
+        };
+      },
+    };
+
+    // Rest lengths used when the engine's rider entities carry no mounted/intact flags
+    const BUTT_TO_PEG = 5;
+    const TAIL_TO_NOSE = 15;
+
+    function isMounted(rider) {
+      if (typeof rider.riderMounted === "boolean") return rider.riderMounted;
+      const butt = rider.points[ContactPoints.BUTT].pos;
+      const peg = rider.points[ContactPoints.PEG].pos;
+      return Math.hypot(butt.x - peg.x, butt.y - peg.y) <= BUTT_TO_PEG * 3;
+    }
+
+    function isSledIntact(rider) {
+      if (typeof rider.sledIntact === "boolean") return rider.sledIntact;
+      const tail = rider.points[ContactPoints.TAIL].pos;
+      const nose = rider.points[ContactPoints.NOSE].pos;
+      const length = Math.hypot(nose.x - tail.x, nose.y - tail.y);
+      return Math.abs(length - TAIL_TO_NOSE) <= TAIL_TO_NOSE / 3;
+    }
+
+    function distanceToSegment(pos, p1, p2) {
+      const dx = p2.x - p1.x;
+      const dy = p2.y - p1.y;
+      const lengthSquared = dx * dx + dy * dy;
+      const t =
+        lengthSquared === 0
+          ? 0
+          : Math.max(
+              0,
+              Math.min(
+                1,
+                ((pos.x - p1.x) * dx + (pos.y - p1.y) * dy) / lengthSquared,
+              ),
+            );
+      return Math.hypot(pos.x - (p1.x + dx * t), pos.y - (p1.y + dy * t));
+    }
+
+    function averageSpeed(rider, contactPoints) {
+      let total = 0;
+      for (const cp of contactPoints) {
+        const { vel } = rider.points[cp % 17];
+        total += Math.hypot(vel.x, vel.y);
+      }
+      return total / contactPoints.length;
+    }
+
+    /**
+     * Rider events for onEvent. Each is a condition (rider, contactPoints, engine) => boolean;
+     * the trigger fires when it turns true. Mounted and sled state come from the rider's
+     * riderMounted / sledIntact flags, or are judged from its shape when the engine has none.
+     */
+    const Events = {
+      /** The rider falls off or the sled breaks */
+      crash: (rider) => !isMounted(rider) || !isSledIntact(rider),
+
+      /** The rider falls off the sled */
+      dismount: (rider) => !isMounted(rider),
+
+      /** The sled breaks */
+      sledBreak: (rider) => !isSledIntact(rider),
+
+      /**
+       * A targeted contact point touches one of the given lines. Lines are looked up by id
+       * in the committed track on every check, so moving them moves the contact area too.
+       * @param {Object} options - { lines, radius = 2 }
+       *   lines: ids of the lines to watch
+       *   radius: how close to a line counts as touching
+       * @returns {Function} Condition for onEvent
+       */
+      lineContact: (options = {}) => {
+        const { lines, radius = 2 } = options;
+        if (!Array.isArray(lines) || lines.length === 0) {
+          throw new Error(
+            "Events.lineContact needs the ids of the lines to watch, e.g. { lines: [12, 13] }",
+          );
         }
+        return (rider, contactPoints) => {
+          const track = window.store.getState().simulator.committedEngine;
+          const watched = lines.map((id) => track.getLine(id)).filter(Boolean);
+          return contactPoints.some((cp) => {
+            const { pos } = rider.points[cp % 17];
+            return watched.some(
+              (line) => distanceToSegment(pos, line.p1, line.p2) <= radius,
+            );
+          });
+        };
       },
+
+      /**
+       * The targeted points' average speed goes above a threshold
+       * @param {number} speed - Pixels per frame
+       * @returns {Function} Condition for onEvent
+       */
+      speedAbove: (speed) => (rider, contactPoints) =>
+        averageSpeed(rider, contactPoints) > speed,
+
+      /**
+       * The targeted points' average speed drops below a threshold
+       * @param {number} speed - Pixels per frame
+       * @returns {Function} Condition for onEvent
+       */
+      speedBelow: (speed) => (rider, contactPoints) =>
+        averageSpeed(rider, contactPoints) < speed,
+    };
+
+    /**
+     * Force fields for vectorField. Each returns a function (pos, vel, frame) => {x, y}.
+     */
+    const Fields = {
+      /**
+       * Gravity well pulling toward a point: strength / distance^falloff
+       * @param {number} centerX - X coordinate of the well
+       * @param {number} centerY - Y coordinate of the well
+       * @param {number} strength - Force at a distance of 1 (negative pushes away)
+       * @param {number} falloff - Distance exponent: 0 constant, 1 linear, 2 inverse-square (default: 2)
+       * @param {Object} options - { minDistance = 10, maxDistance = Infinity }
+       *   minDistance: distances below this count as this, so the force stays bounded
+       *   maxDistance: points further away feel nothing
+       * @returns {Function} Field function
+       */
+      well:
+        (centerX, centerY, strength, falloff = 2, options = {}) =>
+        (pos) =>
+          pullToward(
+            pos,
+            { x: centerX, y: centerY },
+            strength,
+            falloff,
+            options,
+          ),
+
+      /**
+       * Swirl around a point: strength / distance^falloff, across the line to the center
+       * @param {number} centerX - X coordinate of the vortex
+       * @param {number} centerY - Y coordinate of the vortex
+       * @param {number} strength - Force at a distance of 1; positive turns clockwise on screen
+       * @param {number} falloff - Distance exponent (default: 1)
+       * @param {Object} options - { minDistance = 10, maxDistance = Infinity }, as for well
+       * @returns {Function} Field function
+       */
+      vortex:
+        (centerX, centerY, strength, falloff = 1, options = {}) =>
+        (pos) => {
+          const pull = pullToward(
+            pos,
+            { x: centerX, y: centerY },
+            strength,
+            falloff,
+            options,
+          );
+          return { x: pull.y, y: -pull.x };
+        },
+
+      /**
+       * Constant force, everywhere or only inside a zone (e.g. a Zones.rect band)
+       * @param {number} x - X component of the force
+       * @param {number} y - Y component of the force
+       * @param {Function|null} zone - Zone from Zones, or null for everywhere (default: null)
+       * @returns {Function} Field function
+       */
+      uniform:
+        (x, y, zone = null) =>
+        (pos) =>
+          zone === null || zone(pos) ? { x, y } : { x: 0, y: 0 },
+
+      /**
+       * Drain that pulls points in and slows them down within a radius, so they settle at the
+       * center instead of slingshotting through it. The pull fades to 0 at the radius.
+       * @param {number} centerX - X coordinate of the sink
+       * @param {number} centerY - Y coordinate of the sink
+       * @param {number} strength - Pull next to the center
+       * @param {number} radius - Reach of the sink in pixels
+       * @param {number} falloff - How the pull fades toward the radius: 1 linear, 2 quadratic... (default: 1)
+       * @param {Object} options - { damping = 0.1 }
+       *   damping: share of the velocity removed each frame inside the radius
+       * @returns {Function} Field function
+       */
+      sink:
+        (centerX, centerY, strength, radius, falloff = 1, options = {}) =>
+        (pos, vel) => {
+          const { damping = 0.1 } = options;
+          const dx = centerX - pos.x;
+          const dy = centerY - pos.y;
+          const distance = Math.hypot(dx, dy);
+          if (distance >= radius) return { x: 0, y: 0 };
+          const pull =
+            distance === 0
+              ? 0
+              : (strength * Math.pow(1 - distance / radius, falloff)) /
+                distance;
+          return {
+            x: dx * pull - vel.x * damping,
+            y: dy * pull - vel.y * damping,
+          };
+        },
+    };
+
+    /**
+     * Seeded randomness for custom gravity functions. Math.random would change the ride on
+     * every re-simulation; these give the same values on every playback and machine.
+     */
+    const Noise = {
+      /**
+       * Seeded random number generator
+       * @param {number} seed - Seed
+       * @returns {Function} () => number in [0, 1), the same sequence for the same seed
+       */
+      random: seededRandom,
+
+      /**
+       * Seeded 3D Perlin noise
+       * @param {number} seed - Seed
+       * @returns {Function} (x, y, z) => smooth noise, roughly -1 to 1
+       */
+      perlin: seededPerlin,
+    };
+
+    // Register everything keyframes can reference so they can be saved and described as JSON
+    // Tween factories and combinators are saved with their args (chain and multiply positionally)
+    const TweenParams = {
+      steps: ["count", "position"],
+      cubicBezier: ["x1", "y1", "x2", "y2"],
+      keyframes: ["points"],
+      reverse: ["tweenFn"],
+      mirror: ["tweenFn"],
+      chain: null,
+      multiply: null,
+    };
+    for (const [name, fn] of Object.entries(Tween)) {
+      if (Object.hasOwn(TweenParams, name)) {
+        Tween[name] = registerFactory(`Tween.${name}`, fn, TweenParams[name]);
+      } else {
+        registerRef(`Tween.${name}`, fn);
+      }
+    }
+    for (const [name, pose] of Object.entries(Poses)) {
+      registerRef(`Poses.${name}`, pose);
+    }
+    for (const [name, pose] of Object.entries(readStoredPoses())) {
+      if (!BUILT_IN_POSES.has(name)) addPose(name, pose);
+    }
+
+    const SnapCurveParams = {
+      circle: ["centerX", "centerY", "radius"],
+      ellipse: ["centerX", "centerY", "radiusX", "radiusY"],
+      sine: ["amplitude", "frequency", "offsetY"],
+      spiral: ["centerX", "centerY", "growthRate"],
+      radialGravity: ["centerX", "centerY", "radius"],
+      path: ["path", "closed"],
+      paths: ["paths"],
+    };
+    for (const [name, params] of Object.entries(SnapCurveParams)) {
+      SnapCurves[name] = registerFactory(
+        `SnapCurves.${name}`,
+        SnapCurves[name],
+        params,
+      );
+    }
+
+    const ZoneParams = {
+      rect: ["x", "y", "width", "height"],
+      circle: ["centerX", "centerY", "radius"],
+      polygon: ["points"],
     };
+    for (const [name, params] of Object.entries(ZoneParams)) {
+      Zones[name] = registerFactory(`Zones.${name}`, Zones[name], params);
+    }
+
+    const FieldParams = {
+      well: ["centerX", "centerY", "strength", "falloff", "options"],
+      vortex: ["centerX", "centerY", "strength", "falloff", "options"],
+      uniform: ["x", "y", "zone"],
+      sink: ["centerX", "centerY", "strength", "radius", "falloff", "options"],
+    };
+    for (const [name, params] of Object.entries(FieldParams)) {
+      Fields[name] = registerFactory(`Fields.${name}`, Fields[name], params);
+    }
+
+    for (const name of ["crash", "dismount", "sledBreak"]) {
+      registerRef(`Events.${name}`, Events[name]);
+    }
+    const EventParams = {
+      lineContact: ["options"],
+      speedAbove: ["speed"],
+      speedBelow: ["speed"],
+    };
+    for (const [name, params] of Object.entries(EventParams)) {
+      Events[name] = registerFactory(`Events.${name}`, Events[name], params);
+    }
+
+    registerRef("Intervals.simultaneous", Intervals.simultaneous);
+    const IntervalParams = {
+      stagger: ["frames"],
+      exponential: ["base", "scale"],
+      sine: ["period", "amplitude"],
+    };
+    for (const [name, params] of Object.entries(IntervalParams)) {
+      Intervals[name] = registerFactory(
+        `Intervals.${name}`,
+        Intervals[name],
+        params,
+      );
+    }
+
+    const Effects = {
+      setGravity: registerFactory("setGravity", setGravity, ["x", "y"]),
+      pulseGravity: registerFactory("pulseGravity", pulseGravity, [
+        "x",
+        "y",
+        "duration",
+        "normalX",
+        "normalY",
+      ]),
+      animateGravity: registerFactory("animateGravity", animateGravity, [
+        "from",
+        "to",
+        "duration",
+        "tweenFn",
+        "options",
+      ]),
+      teleport: registerFactory("teleport", teleport, [
+        "dx",
+        "dy",
+        "normalX",
+        "normalY",
+      ]),
+      setVelocity: registerFactory("setVelocity", setVelocity, ["vx", "vy"]),
+      addVelocity: registerFactory("addVelocity", addVelocity, ["dvx", "dvy"]),
+      setSpeed: registerFactory("setSpeed", setSpeed, ["speed"]),
+      rotateVelocity: registerFactory("rotateVelocity", rotateVelocity, [
+        "angle",
+      ]),
+      lockToAxis: registerFactory("lockToAxis", lockToAxis, [
+        "axisX",
+        "axisY",
+        "maxForce",
+        "duration",
+        "tweenFn",
+        "damping",
+      ]),
+      snapTo: registerFactory("snapTo", snapTo, [
+        "closestPointFn",
+        "maxForce",
+        "duration",
+        "tweenFn",
+        "damping",
+        "tangentForce",
+        "targetTangentVelocity",
+        "tangentVelocityGain",
+      ]),
+      followPath: registerFactory("followPath", followPath, [
+        "path",
+        "speed",
+        "duration",
+        "options",
+      ]),
+      morphPose: registerFactory("morphPose", morphPose, [
+        "fromPose",
+        "toPose",
+        "duration",
+        "tweenFn",
+        "options",
+      ]),
+      spin: registerFactory("spin", spin, [
+        "anchor",
+        "degrees",
+        "duration",
+        "tweenFn",
+        "options",
+      ]),
+      scaleRider: registerFactory("scaleRider", scaleRider, [
+        "factor",
+        "duration",
+        "tweenFn",
+        "anchor",
+        "options",
+      ]),
+      // The builder describes itself, so only loading goes through the registry
+      adjustRider,
+      blend: registerFactory("blend", blend, ["mode", "effect"]),
+      attractTo: registerFactory("attractTo", attractTo, [
+        "source",
+        "strength",
+        "falloff",
+        "duration",
+        "options",
+      ]),
+      repelFrom: registerFactory("repelFrom", repelFrom, [
+        "source",
+        "strength",
+        "falloff",
+        "duration",
+        "options",
+      ]),
+      nBody: registerFactory("nBody", nBody, [
+        "strength",
+        "falloff",
+        "duration",
+        "options",
+      ]),
+      turbulence: registerFactory("turbulence", turbulence, [
+        "scale",
+        "strength",
+        "speed",
+        "seed",
+        "duration",
+        "options",
+      ]),
+      vectorField: registerFactory("vectorField", vectorField, [
+        "field",
+        "duration",
+      ]),
+      drag: registerFactory("drag", drag, [
+        "coefficient",
+        "mode",
+        "duration",
+        "options",
+      ]),
+      wind: registerFactory("wind", wind, [
+        "direction",
+        "strength",
+        "gustiness",
+        "duration",
+        "options",
+      ]),
+      onEnterZone: registerFactory("onEnterZone", onEnterZone, [
+        "zone",
+        "effect",
+        "options",
+      ]),
+      onEvent: registerFactory("onEvent", onEvent, [
+        "event",
+        "effect",
+        "options",
+      ]),
+    };
+    registerFactory(
+      "adjustRider",
+      (...values) =>
+        adjustRider(
+          Object.fromEntries(
+            ADJUST_RIDER_KEYS.map((key, i) => [key, values[i]]).filter(
+              ([, value]) => value !== undefined,
+            ),
+          ),
+        ),
+      ADJUST_RIDER_KEYS,
+    );
 
     return {
       setGravityKeyframes,
+      lintGravityKeyframes,
+      getGravityDiagnostics: ReadTracker.getDiagnostics,
+      exportGravityKeyframes,
+      setScarfGravity,
+      showKeyframeTimeline: KeyframeTimeline.show,
+      hideKeyframeTimeline: KeyframeTimeline.hide,
+      showGravityOverlay: GravityOverlay.show,
+      hideGravityOverlay: GravityOverlay.hide,
+      GravityOverlayColors: GravityOverlay.EffectColors,
+      restoreKeyframesFromTrack,
+      capturePose,
+      deletePose,
       Intervals,
       Poses,
       Tween,
       SnapCurves,
+      Zones,
+      Events,
+      Fields,
+      Noise,
 
       // Gravity functions
-      setGravity,
-      pulseGravity,
-      teleport,
-      lockToAxis,
-      snapTo,
-      adjustRider,
+      ...Effects,
       help,
     };
   })();
@@ -1526,19 +6372,51 @@
   // Expose all main functions globally with proper signatures
   window.applyGravity = GravityAPI.applyGravity;
   window.setGravityKeyframes = GravityAPI.setGravityKeyframes;
+  window.exportGravityKeyframes = GravityAPI.exportGravityKeyframes;
+  window.lintGravityKeyframes = GravityAPI.lintGravityKeyframes;
+  window.setScarfGravity = GravityAPI.setScarfGravity;
+  window.showKeyframeTimeline = GravityAPI.showKeyframeTimeline;
+  window.hideKeyframeTimeline = GravityAPI.hideKeyframeTimeline;
+  window.showGravityOverlay = GravityAPI.showGravityOverlay;
+  window.hideGravityOverlay = GravityAPI.hideGravityOverlay;
   window.triggerSubscriberHack = GravityAPI.triggerSubscriberHack;
   window.setGravity = GravityAPI.setGravity;
   window.pulseGravity = GravityAPI.pulseGravity;
+  window.animateGravity = GravityAPI.animateGravity;
   window.teleport = GravityAPI.teleport;
+  window.setVelocity = GravityAPI.setVelocity;
+  window.addVelocity = GravityAPI.addVelocity;
+  window.setSpeed = GravityAPI.setSpeed;
+  window.rotateVelocity = GravityAPI.rotateVelocity;
   window.transformRider = GravityAPI.transformRider;
   window.lockToAxis = GravityAPI.lockToAxis;
+  window.followPath = GravityAPI.followPath;
+  window.blend = GravityAPI.blend;
+  window.attractTo = GravityAPI.attractTo;
+  window.repelFrom = GravityAPI.repelFrom;
+  window.nBody = GravityAPI.nBody;
+  window.turbulence = GravityAPI.turbulence;
+  window.vectorField = GravityAPI.vectorField;
+  window.drag = GravityAPI.drag;
+  window.wind = GravityAPI.wind;
+  window.onEnterZone = GravityAPI.onEnterZone;
+  window.onEvent = GravityAPI.onEvent;
   window.adjustRider = GravityAPI.adjustRider;
+  window.morphPose = GravityAPI.morphPose;
+  window.spin = GravityAPI.spin;
+  window.scaleRider = GravityAPI.scaleRider;
+  window.capturePose = GravityAPI.capturePose;
+  window.deletePose = GravityAPI.deletePose;
 
   // Expose constants
   window.Poses = GravityAPI.Poses;
   window.Intervals = GravityAPI.Intervals;
   window.Tween = GravityAPI.Tween;
   window.SnapCurves = GravityAPI.SnapCurves;
+  window.Zones = GravityAPI.Zones;
+  window.Events = GravityAPI.Events;
+  window.Noise = GravityAPI.Noise;
+  window.Fields = GravityAPI.Fields;
 
   // Expose snap function
   window.snapTo = GravityAPI.snapTo;